@@ -1,9 +1,24 @@
 import sql from 'mssql'
 import { Pool as PgPool } from 'pg'
+import { PGlite } from '@electric-sql/pglite'
 import initSqlJs from 'sql.js'
 import type { Database } from 'sql.js'
-import { readFileSync } from 'fs'
+import { readFileSync, mkdtempSync, rmSync } from 'fs'
+import { writeFile } from 'fs/promises'
 import { randomUUID } from 'crypto'
+import { fork } from 'child_process'
+import { once } from 'events'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+import {
+  createEventStore,
+  sqliteAdapter,
+  postgresAdapter,
+  registerSqliteFunctions,
+  ConcurrencyConflict,
+  StreamAlreadyExists
+} from './client/index.js'
 
 // Connection defaults (adjust if needed)
 const SQL_SERVER_CONFIG = {
@@ -29,11 +44,45 @@ const POSTGRES_CONFIG = {
 
 const SQLITE_PATH = 'sqlite-store.db'
 
+// a writer gives up on an append after this many conflicts in a row
+const MAX_ATTEMPTS = 100
+
+// how long a sqlite writer waits for another process's append to commit
+const SQLITE_BUSY_TIMEOUT = 30000
+
+// runs the process as one of the sqlite contention writers
+const SQLITE_WRITER = '--sqlite-writer'
+
+interface ContentionOptions {
+  writers: number
+  keys: number
+  overlap: number
+  count: number
+}
+
+interface ContentionResult {
+  backend: string
+  writers: number
+  keys: number
+  overlap: number
+  appended: number
+  appendsPerSecond: number
+  p50Ms: number
+  p99Ms: number
+  // conflicts per append attempt
+  conflictRate: number
+  // share of appends that needed at least one retry
+  retryRate: number
+  integrity: string
+}
+
 interface BenchmarkResult {
   backend: string
   inserted: number
   readCount: number
   insertMs: number
+  earlyAppendMs: number
+  lateAppendMs: number
   readMs: number
 }
 
@@ -52,6 +101,17 @@ function buildPayload(): string {
 
 const PAYLOAD = buildPayload()
 
+// Mean append latency over the first and the last tenth of the stream, early and late in the same run, to show whether
+// appends slow down as the stream and the ledger grow. They do not compare against other schemas or earlier versions.
+function appendLatency(latencies: number[]): { earlyAppendMs: number; lateAppendMs: number } {
+  const tenth = Math.max(1, Math.floor(latencies.length / 10))
+  const mean = (ms: number[]) => Math.round(ms.reduce((sum, m) => sum + m, 0) / ms.length * 100) / 100
+  return {
+    earlyAppendMs: mean(latencies.slice(0, tenth)),
+    lateAppendMs: mean(latencies.slice(-tenth))
+  }
+}
+
 async function runSqlServer(count: number): Promise<BenchmarkResult> {
   const entity = 'bench'
   const entityKey = newEntityKey()
@@ -59,9 +119,11 @@ async function runSqlServer(count: number): Promise<BenchmarkResult> {
   const pool = await sql.connect(SQL_SERVER_CONFIG)
 
   const swInsert = performance.now()
+  const latencies: number[] = []
   let previousId: string | null = null
 
   for (let i = 0; i < count; i++) {
+    const swAppend = performance.now()
     const request = pool.request()
     request.input('entity', sql.NVarChar, entity)
     request.input('entity_key', sql.NVarChar, entityKey)
@@ -74,6 +136,7 @@ async function runSqlServer(count: number): Promise<BenchmarkResult> {
     const result = await request.execute('append_event')
     const eventId = result.output.event_id
     previousId = eventId ? eventId.toString() : null
+    latencies.push(performance.now() - swAppend)
   }
   const insertMs = Math.round(performance.now() - swInsert)
 
@@ -93,6 +156,7 @@ async function runSqlServer(count: number): Promise<BenchmarkResult> {
     inserted: count,
     readCount,
     insertMs,
+    ...appendLatency(latencies),
     readMs
   }
 }
@@ -104,15 +168,18 @@ async function runPostgres(count: number): Promise<BenchmarkResult> {
   const pool = new PgPool(POSTGRES_CONFIG)
 
   const swInsert = performance.now()
+  const latencies: number[] = []
   let previousId: string | null = null
 
   for (let i = 0; i < count; i++) {
+    const swAppend = performance.now()
     const appendKey = randomUUID()
     const result = await pool.query(
       'SELECT append_event($1, $2, $3, $4::jsonb, $5, $6) as event_id',
       [entity, entityKey, 'bench-event', PAYLOAD, appendKey, previousId]
     )
     previousId = result.rows[0].event_id
+    latencies.push(performance.now() - swAppend)
   }
   const insertMs = Math.round(performance.now() - swInsert)
 
@@ -131,32 +198,41 @@ async function runPostgres(count: number): Promise<BenchmarkResult> {
     inserted: count,
     readCount,
     insertMs,
+    ...appendLatency(latencies),
     readMs
   }
 }
 
-async function runSqlite(count: number): Promise<BenchmarkResult> {
-  const entity = 'bench'
-  const entityKey = newEntityKey()
-
-  // Load SQLite database
+async function openSqlite(): Promise<Database> {
   const SQL = await initSqlJs()
-  let db: Database
   try {
-    const buffer = readFileSync(SQLITE_PATH)
-    db = new SQL.Database(buffer)
+    return new SQL.Database(readFileSync(SQLITE_PATH))
   } catch (err) {
-    // Database doesn't exist yet, create new one
-    db = new SQL.Database()
-    // Load DDL
-    const ddl = readFileSync('sqlite-event-store.ddl', 'utf-8')
-    db.run(ddl)
+    // Database doesn't exist yet, create new one with the DDL
+    const db = new SQL.Database()
+    db.run(readFileSync('sqlite-event-store.ddl', 'utf-8'))
+    return db
   }
+}
+
+async function closeSqlite(db: Database): Promise<void> {
+  await writeFile(SQLITE_PATH, Buffer.from(db.export()))
+  db.close()
+}
+
+async function runSqlite(count: number): Promise<BenchmarkResult> {
+  const entity = 'bench'
+  const entityKey = newEntityKey()
+
+  const db = await openSqlite()
+  registerSqliteFunctions(db)
 
   const swInsert = performance.now()
+  const latencies: number[] = []
   let previousId: string | null = null
 
   for (let i = 0; i < count; i++) {
+    const swAppend = performance.now()
     const appendKey = randomUUID()
     
     const insertStmt = db.prepare(
@@ -174,6 +250,7 @@ async function runSqlite(count: number): Promise<BenchmarkResult> {
       previousId = readIdStmt.get()[0] as string
     }
     readIdStmt.free()
+    latencies.push(performance.now() - swAppend)
   }
   const insertMs = Math.round(performance.now() - swInsert)
 
@@ -187,34 +264,237 @@ async function runSqlite(count: number): Promise<BenchmarkResult> {
   readStmt.free()
   const readMs = Math.round(performance.now() - swRead)
 
-  // Save database
-  const data = db.export()
-  const fs = await import('fs/promises')
-  await fs.writeFile(SQLITE_PATH, Buffer.from(data))
-
-  db.close()
+  await closeSqlite(db)
 
   return {
     backend: 'sqlite',
     inserted: count,
     readCount,
     insertMs,
+    ...appendLatency(latencies),
     readMs
   }
 }
 
-function parseArgs(args: string[]): { backend?: string; count?: number } {
+// A writer's share of the appends, picking from the entity keys like runContention describes
+interface WriterJob {
+  entity: string
+  entityKeys: string[]
+  writers: number
+  overlap: number
+  writer: number
+  share: number
+}
+
+// The latency of each of a writer's appends including its retries, its append attempts, the conflicts among them and
+// the appends that needed at least one retry
+interface WriterResult {
+  latencies: number[]
+  attempts: number
+  conflicts: number
+  retried: number
+}
+
+async function runWriter(store: ReturnType<typeof createEventStore>, job: WriterJob): Promise<WriterResult> {
+  const { entity, entityKeys, writers, overlap, writer, share } = job
+  const ownKeys = entityKeys.filter((_, i) => i % writers === writer)
+  const pickKey = () => {
+    const candidates = ownKeys.length && Math.random() >= overlap ? ownKeys : entityKeys
+    return candidates[Math.floor(Math.random() * candidates.length)]
+  }
+  const result: WriterResult = { latencies: [], attempts: 0, conflicts: 0, retried: 0 }
+
+  for (let n = 0; n < share; n++) {
+    const entityKey = pickKey()
+    const swAppend = performance.now()
+    for (let attempt = 1; ; attempt++) {
+      result.attempts++
+      const events = await store.replay({ entity, entityKey })
+      try {
+        await store.append({ entity, entityKey, event: 'bench-event', data: { writer, n }, previousId: events.at(-1)?.eventId })
+        break
+      } catch (err) {
+        if (!(err instanceof ConcurrencyConflict || err instanceof StreamAlreadyExists) || attempt === MAX_ATTEMPTS) {
+          throw err
+        }
+        result.conflicts++
+        if (attempt === 1) {
+          result.retried++
+        }
+      }
+    }
+    result.latencies.push(performance.now() - swAppend)
+  }
+  return result
+}
+
+// Runs a writer in a process of its own with its own node:sqlite connection to the ledger file, so the writers wait
+// on SQLite's file lock like processes sharing a ledger do. Resolves once the connection is open, to a function that
+// starts the appends.
+async function forkSqliteWriter(file: string, job: WriterJob): Promise<() => Promise<WriterResult>> {
+  const child = fork(fileURLToPath(import.meta.url), [SQLITE_WRITER, JSON.stringify({ file, job })])
+  const reply = () => new Promise<any>((resolve, reject) => {
+    child.once('message', resolve)
+    child.once('exit', code => reject(new Error(`sqlite writer ${job.writer} exited with ${code}`)))
+  })
+  await reply()
+  return () => {
+    const result = reply()
+    child.send('start')
+    return result
+  }
+}
+
+// The forked side of forkSqliteWriter
+async function runSqliteWriter(file: string, job: WriterJob): Promise<void> {
+  const { DatabaseSync } = await import('node:sqlite' as string)
+  const db = new DatabaseSync(file)
+  const store = createEventStore(sqliteAdapter(db, { busyTimeout: SQLITE_BUSY_TIMEOUT }))
+  process.send!('ready')
+  await once(process, 'message')
+  const result = await runWriter(store, job)
+  db.close()
+  process.send!(result, () => process.disconnect())
+}
+
+// postgresql gives each writer a connection of its own, so appends to different entities run in parallel; pglite runs
+// the writers on its one connection, and sqlite forks a process per writer on a ledger file in a temporary directory.
+// Returns the store to check the ledger with afterwards, and a function that readies the writers and resolves to one
+// that runs them.
+async function openContentionStore(backend: string, writers: number) {
+  const inProcess = (store: ReturnType<typeof createEventStore>) =>
+    async (jobs: WriterJob[]) => () => Promise.all(jobs.map(job => runWriter(store, job)))
+  if (backend === 'postgresql') {
+    const pool = new PgPool({ ...POSTGRES_CONFIG, max: writers })
+    const store = createEventStore(postgresAdapter(pool))
+    return { store, prepareWriters: inProcess(store), close: () => pool.end() }
+  }
+  if (backend === 'pglite') {
+    const db = await PGlite.create()
+    await db.exec(readFileSync('postgres-event-store.ddl', 'utf-8'))
+    const store = createEventStore(postgresAdapter(db))
+    return { store, prepareWriters: inProcess(store), close: () => db.close() }
+  }
+  const nodeSqlite = await import('node:sqlite' as string).catch(() => null)
+  if (!nodeSqlite) {
+    throw new Error('Contention mode on sqlite needs node:sqlite, built into Node 22.13 and later.')
+  }
+  const directory = mkdtempSync(join(tmpdir(), 'bench-contention-'))
+  const file = join(directory, 'ledger.db')
+  const db = new nodeSqlite.DatabaseSync(file)
+  const adapter = sqliteAdapter(db, { busyTimeout: SQLITE_BUSY_TIMEOUT })
+  db.exec(readFileSync('sqlite-event-store.ddl', 'utf-8'))
+  return {
+    store: createEventStore(adapter),
+    prepareWriters: async (jobs: WriterJob[]) => {
+      const starts = await Promise.all(jobs.map(job => forkSqliteWriter(file, job)))
+      return () => Promise.all(starts.map(start => start()))
+    },
+    close: async () => {
+      db.close()
+      rmSync(directory, { recursive: true })
+    }
+  }
+}
+
+function percentile(sorted: number[], p: number): number {
+  const ms = sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))]
+  return Math.round(ms * 100) / 100
+}
+
+// N writers append to M entity keys at once, each replaying the entity and appending after its newest event, and
+// replaying and retrying when another writer appended first. Each writer owns every writers-th key from its index and
+// appends to any of the keys instead with the chance overlap, so overlap 0 with at least as many keys as writers never
+// conflicts and overlap 1 has every writer contend for every key. Writers sharing a connection interleave between
+// their replay and their append like separate processes would.
+async function runContention(backend: string, { writers, keys, overlap, count }: ContentionOptions): Promise<ContentionResult> {
+  const entity = 'bench-contention'
+  const entityKeys = Array.from({ length: keys }, () => newEntityKey())
+  const jobs = Array.from({ length: writers }, (_, writer) => ({
+    entity,
+    entityKeys,
+    writers,
+    overlap,
+    writer,
+    // the count is shared out evenly, the first writers taking one more when it does not divide
+    share: Math.floor(count / writers) + (writer < count % writers ? 1 : 0)
+  }))
+
+  const { store, prepareWriters, close } = await openContentionStore(backend, writers)
+  const run = await prepareWriters(jobs)
+  const swRun = performance.now()
+  const results = await run()
+  const runMs = performance.now() - swRun
+
+  await store.sealLedger()
+  const violations = await store.checkIntegrity()
+  const brokenLink = await store.verifyLedger()
+  const stored = (await store.replay({ entity })).filter(event => entityKeys.includes(event.entityKey)).length
+  const problems = [
+    violations.length ? `${violations.length} chain violations` : null,
+    brokenLink ? `hash chain broken at sequence ${brokenLink.sequence}` : null,
+    stored !== count ? `${stored} of ${count} events stored` : null
+  ].filter(Boolean)
+  await close()
+
+  const latencies = results.flatMap(result => result.latencies).sort((a, b) => a - b)
+  const total = (field: 'attempts' | 'conflicts' | 'retried') => results.reduce((sum, result) => sum + result[field], 0)
+  return {
+    backend,
+    writers,
+    keys,
+    overlap,
+    appended: latencies.length,
+    appendsPerSecond: Math.round(latencies.length / (runMs / 1000)),
+    p50Ms: percentile(latencies, 50),
+    p99Ms: percentile(latencies, 99),
+    conflictRate: Math.round(total('conflicts') / total('attempts') * 1000) / 1000,
+    retryRate: Math.round(total('retried') / latencies.length * 1000) / 1000,
+    integrity: problems.length ? problems.join(', ') : 'ok'
+  }
+}
+
+interface Args {
+  backend?: string
+  count?: number
+  contention: boolean
+  writers: number
+  keys: number
+  overlap: number
+}
+
+function parseArgs(args: string[]): Args {
   let backend: string | undefined
   let count: number | undefined
+  let contention = false
+  let writers = 8
+  let keys = 4
+  let overlap = 0.5
+
+  const positive = (flag: string, value: string) => {
+    const n = parseInt(value)
+    if (isNaN(n) || n <= 0) {
+      console.error(`${flag} must be > 0`)
+      process.exit(1)
+    }
+    return n
+  }
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i]
-    if (arg === '--backend' && i + 1 < args.length) {
+    if (arg === '--mode' && i + 1 < args.length) {
+      const modeArg = args[++i]
+      if (modeArg !== 'sequential' && modeArg !== 'contention') {
+        console.error(`Unknown mode: ${modeArg}. Use sequential or contention.`)
+        process.exit(1)
+      }
+      contention = modeArg === 'contention'
+    } else if (arg === '--backend' && i + 1 < args.length) {
       const backendArg = args[++i]
-      if (backendArg === 'sql-server' || backendArg === 'postgresql' || backendArg === 'sqlite') {
+      if (['sql-server', 'postgresql', 'pglite', 'sqlite'].includes(backendArg)) {
         backend = backendArg
       } else {
-        console.error(`Unknown backend: ${backendArg}. Use sql-server, postgresql, or sqlite.`)
+        console.error(`Unknown backend: ${backendArg}. Use sql-server, postgresql, pglite, or sqlite.`)
         process.exit(1)
       }
     } else if (arg === '--count' && i + 1 < args.length) {
@@ -222,11 +502,21 @@ function parseArgs(args: string[]): { backend?: string; count?: number } {
       if (!isNaN(countArg) && countArg > 0) {
         count = countArg
       }
+    } else if (arg === '--writers' && i + 1 < args.length) {
+      writers = positive(arg, args[++i])
+    } else if (arg === '--keys' && i + 1 < args.length) {
+      keys = positive(arg, args[++i])
+    } else if (arg === '--overlap' && i + 1 < args.length) {
+      overlap = parseFloat(args[++i])
+      if (isNaN(overlap) || overlap < 0 || overlap > 1) {
+        console.error('--overlap must be between 0 and 1')
+        process.exit(1)
+      }
     }
   }
 
   if (!backend && !count && args.length > 0) {
-    console.warn('Unknown args ignored. Use --backend (sql-server|postgresql|sqlite) and --count N')
+    console.warn('Unknown args ignored. Use --backend (sql-server|postgresql|pglite|sqlite) and --count N, and --mode contention with --writers N, --keys M and --overlap P')
   }
   
   if (backend === undefined && args.some(a => a === '--backend')) {
@@ -234,22 +524,55 @@ function parseArgs(args: string[]): { backend?: string; count?: number } {
     process.exit(1)
   }
 
-  return { backend, count }
+  if (contention && backend === 'sql-server') {
+    console.error('Contention mode runs on postgresql, pglite or sqlite.')
+    process.exit(1)
+  }
+  if (!contention && backend === 'pglite') {
+    console.error('pglite only runs in contention mode.')
+    process.exit(1)
+  }
+
+  return { backend, count, contention, writers, keys, overlap }
 }
 
-function printTable(result: BenchmarkResult): void {
-  const maxLen = (str: string) => str.length
+function printResult(result: BenchmarkResult): void {
+  printTable(
+    ['Backend', 'Inserted', 'Read Count', 'Insert ms', 'Early ms/append', 'Late ms/append', 'Read ms'],
+    [
+      result.backend,
+      result.inserted.toString(),
+      result.readCount.toString(),
+      result.insertMs.toString(),
+      result.earlyAppendMs.toString(),
+      result.lateAppendMs.toString(),
+      result.readMs.toString()
+    ]
+  )
+}
+
+function printContentionResult(result: ContentionResult): void {
+  printTable(
+    ['Backend', 'Writers', 'Keys', 'Overlap', 'Appended', 'Appends/s', 'p50 ms', 'p99 ms', 'Conflict rate', 'Retry rate', 'Integrity'],
+    [
+      result.backend,
+      result.writers.toString(),
+      result.keys.toString(),
+      result.overlap.toString(),
+      result.appended.toString(),
+      result.appendsPerSecond.toString(),
+      result.p50Ms.toString(),
+      result.p99Ms.toString(),
+      result.conflictRate.toString(),
+      result.retryRate.toString(),
+      result.integrity
+    ]
+  )
+}
+
+function printTable(headers: string[], values: string[]): void {
   const pad = (str: string, len: number) => str.padEnd(len)
-  
-  const headers = ['Backend', 'Inserted', 'Read Count', 'Insert ms', 'Read ms']
-  const values = [
-    result.backend,
-    result.inserted.toString(),
-    result.readCount.toString(),
-    result.insertMs.toString(),
-    result.readMs.toString()
-  ]
-  
+
   const colWidths = headers.map((h, i) => Math.max(h.length, values[i].length) + 2)
   
   // Print header
@@ -261,6 +584,11 @@ function printTable(result: BenchmarkResult): void {
 }
 
 async function main(): Promise<void> {
+  if (process.argv[2] === SQLITE_WRITER) {
+    const { file, job } = JSON.parse(process.argv[3])
+    return runSqliteWriter(file, job)
+  }
+
   const args = parseArgs(process.argv.slice(2))
 
   console.log('Event Store Benchmark\n')
@@ -276,12 +604,13 @@ async function main(): Promise<void> {
       output: process.stdout
     })
 
-    const answer = await rl.question('Choose backend (sql-server/postgresql/sqlite): ')
+    const backends = args.contention ? ['postgresql', 'pglite', 'sqlite'] : ['sql-server', 'postgresql', 'sqlite']
+    const answer = await rl.question(`Choose backend (${backends.join('/')}): `)
     const backendInput = answer.trim()
-    if (backendInput === 'sql-server' || backendInput === 'postgresql' || backendInput === 'sqlite') {
+    if (backends.includes(backendInput)) {
       target = backendInput
     } else {
-      console.error(`Unknown backend: ${backendInput}. Use sql-server, postgresql, or sqlite.`)
+      console.error(`Unknown backend: ${backendInput}. Use ${backends.join(', ')}.`)
       rl.close()
       process.exit(1)
     }
@@ -308,6 +637,17 @@ async function main(): Promise<void> {
     rl.close()
   }
 
+  if (args.contention) {
+    const { writers, keys, overlap } = args
+    console.log(`Running ${eventCount} events from ${writers} writers over ${keys} keys on ${target}...\n`)
+    const result = await runContention(target, { writers, keys, overlap, count: eventCount })
+    printContentionResult(result)
+    if (result.integrity !== 'ok') {
+      process.exit(1)
+    }
+    return
+  }
+
   console.log(`Running ${eventCount} events on ${target}...\n`)
 
   let result: BenchmarkResult
@@ -326,7 +666,7 @@ async function main(): Promise<void> {
       process.exit(1)
   }
 
-  printTable(result)
+  printResult(result)
 }
 
 main().catch(err => {
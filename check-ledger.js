@@ -0,0 +1,33 @@
+/**
+ Checks a ledger before or after a migration and prints a JSON report. Exits with 1 when the ledger has violations.
+
+   node check-ledger.js sqlite <file>              a SQLite database file, opened with sql.js
+   node check-ledger.js pglite <directory>         a pglite data directory
+   node check-ledger.js sqlserver <connection>     a SQL Server connection string
+
+ The report lists the stream-chain violations from check_ledger_integrity and the first broken link of the hash chain:
+
+   { "backend": "sqlite", "checkedAt": "...", "ok": false, "violations": [{ "violation": "orphan", ... }], "brokenLink": null }
+ */
+import { createEventStore } from './client/index.js'
+import { backendNames, openBackend } from './cli-backends.js'
+
+
+const [backendName, location] = process.argv.slice(2)
+
+if (!backendNames.includes(backendName) || !location) {
+  console.error('usage: node check-ledger.js sqlite <file> | pglite <directory> | sqlserver <connection-string>')
+  process.exit(2)
+}
+
+const backend = await openBackend(backendName, location)
+try {
+  const store = createEventStore(backend.adapter)
+  const violations = await store.checkIntegrity()
+  const brokenLink = await store.verifyLedger()
+  const ok = violations.length === 0 && brokenLink === null
+  console.log(JSON.stringify({ backend: backendName, checkedAt: new Date(), ok, violations, brokenLink }, null, 2))
+  process.exitCode = ok ? 0 : 1
+} finally {
+  await backend.close()
+}
@@ -0,0 +1,54 @@
+/**
+ Opens the ledgers that check-ledger.js and ledger-ndjson.js work on, by backend name and location. With create, a
+ missing SQLite file or an empty pglite directory gets the event store DDL, and SQLite writes the file back on close,
+ as sql.js works on a copy in memory. SQL Server databases need the DDL loaded beforehand.
+ */
+import fs from 'fs'
+import initSqlJs from 'sql.js'
+import { PGlite } from '@electric-sql/pglite'
+import sql from 'mssql'
+import { sqliteAdapter, postgresAdapter, sqlServerAdapter } from './client/index.js'
+
+
+const backends = {
+  async sqlite(file, { create }) {
+    const SQL = await initSqlJs()
+    const exists = fs.existsSync(file)
+    const db = exists ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database()
+    const adapter = sqliteAdapter(db)
+    if (!exists && create) {
+      db.run(fs.readFileSync(new URL('./sqlite-event-store.ddl', import.meta.url), 'utf8'))
+    }
+    return {
+      adapter,
+      close() {
+        if (create) {
+          fs.writeFileSync(file, db.export())
+        }
+        db.close()
+      }
+    }
+  },
+
+  async pglite(directory, { create }) {
+    const db = await PGlite.create(directory)
+    const { rows: [{ ledger }] } = await db.query(`SELECT to_regclass('ledger') AS ledger`)
+    if (!ledger && create) {
+      await db.exec(fs.readFileSync(new URL('./postgres-event-store.ddl', import.meta.url), 'utf8'))
+    }
+    return { adapter: postgresAdapter(db), close: () => db.close() }
+  },
+
+  async sqlserver(connectionString) {
+    const pool = await sql.connect(connectionString)
+    return { adapter: sqlServerAdapter(pool), close: () => pool.close() }
+  }
+}
+
+
+export const backendNames = Object.keys(backends)
+
+
+export async function openBackend(name, location, { create = false } = {}) {
+  return backends[name](location, { create })
+}
@@ -0,0 +1,124 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto'
+
+
+// Replaces an encrypted field on replay once the key of its entity instance has been shredded.
+export const REDACTED = '[redacted]'
+
+const algorithm = 'aes-256-gcm'
+const ivLength = 12
+const tagLength = 16
+
+
+function isObject(data) {
+  return typeof data === 'object' && data !== null && !Array.isArray(data)
+}
+
+function isEncrypted(value) {
+  return isObject(value) && typeof value.$encrypted === 'string'
+}
+
+
+/**
+ Encrypts the personal data fields of event data with a key per entity instance, kept in the encryption_keys table.
+ encryptedFields lists the top-level data fields to encrypt for each entity, like { customer: ['email', 'name'] }.
+ Each encrypted field is stored as { $encrypted: base64 of a random iv, auth tag and ciphertext }, bound to its entity
+ instance.
+ */
+export function createShredder(adapter, encryptedFields = {}) {
+
+  function associatedData(entity, entityKey) {
+    return Buffer.from(JSON.stringify([entity, entityKey]))
+  }
+
+  function encryptValue(key, aad, value) {
+    const iv = randomBytes(ivLength)
+    const cipher = createCipheriv(algorithm, key, iv).setAAD(aad)
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+    return { $encrypted: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64') }
+  }
+
+  function decryptValue(key, aad, { $encrypted }) {
+    const bytes = Buffer.from($encrypted, 'base64')
+    const decipher = createDecipheriv(algorithm, key, bytes.subarray(0, ivLength)).setAAD(aad)
+    decipher.setAuthTag(bytes.subarray(ivLength, ivLength + tagLength))
+    const plaintext = Buffer.concat([decipher.update(bytes.subarray(ivLength + tagLength)), decipher.final()])
+    return JSON.parse(plaintext.toString('utf8'))
+  }
+
+  function repeatsValue(key, aad, appendedValue, value) {
+    if (!isEncrypted(appendedValue)) {
+      return false
+    }
+    try {
+      return JSON.stringify(decryptValue(key, aad, appendedValue)) === JSON.stringify(value)
+    } catch {
+      // encrypted for another entity instance, or with a key that has been shredded since
+      return false
+    }
+  }
+
+  return {
+    /**
+     Resolves to data with the entity's personal data fields encrypted, creating the entity instance's key if needed.
+     */
+    async encrypt(entity, entityKey, appendKey, data) {
+      const fields = (encryptedFields[entity] ?? []).filter(field => isObject(data) && Object.hasOwn(data, field))
+      if (!fields.length) {
+        return data
+      }
+      const key = Buffer.from(await adapter.createEncryptionKey(entity, entityKey, randomBytes(32)))
+      const aad = associatedData(entity, entityKey)
+      // a retried append keeps the ciphertext of the event it repeats wherever the plaintext is the same, so the
+      // ledger's append_key check finds the same content and returns the original event
+      const appended = await adapter.appendedData(appendKey)
+      const encrypted = { ...data }
+      for (const field of fields) {
+        encrypted[field] = repeatsValue(key, aad, appended?.[field], data[field])
+          ? appended[field]
+          : encryptValue(key, aad, data[field])
+      }
+      return encrypted
+    },
+
+    /**
+     Resolves to the events with their encrypted fields decrypted, or REDACTED where the key has been shredded. tx is
+     the subscription transaction the keys are read in, if any.
+     */
+    async decrypt(events, tx) {
+      const keys = new Map()
+      const decrypted = []
+      for (const event of events) {
+        const fields = isObject(event.data) ? Object.keys(event.data).filter(field => isEncrypted(event.data[field])) : []
+        if (!fields.length) {
+          decrypted.push(event)
+          continue
+        }
+        const id = JSON.stringify([event.entity, event.entityKey])
+        if (!keys.has(id)) {
+          const key = await adapter.encryptionKey(event.entity, event.entityKey, tx)
+          keys.set(id, key && Buffer.from(key))
+        }
+        const key = keys.get(id)
+        const aad = associatedData(event.entity, event.entityKey)
+        const data = { ...event.data }
+        for (const field of fields) {
+          try {
+            data[field] = key ? decryptValue(key, aad, data[field]) : REDACTED
+          } catch {
+            // encrypted with a key that was shredded before the entity instance got a new one
+            data[field] = REDACTED
+          }
+        }
+        decrypted.push({ ...event, data })
+      }
+      return decrypted
+    },
+
+    /**
+     Deletes the entity instance's key, redacting its encrypted fields for good.
+     */
+    async shred(entity, entityKey) {
+      return adapter.shredEncryptionKey(entity, entityKey)
+    }
+  }
+}
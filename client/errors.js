@@ -0,0 +1,94 @@
+/**
+ Errors raised by the event store DDLs. Each carries the stable code shared by all three DDLs: an 'ES005: ' message
+ prefix in SQLite, the SQLSTATE in Postgres and THROW number 50005 in SQL Server. Adapters read the code from their
+ driver's error and the client rethrows it as one of these classes, keeping the driver error as the cause.
+ */
+export class EventStoreError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+// A DELETE or UPDATE against the ledger. Postgres ignores these silently, so it never raises this error.
+export class LedgerImmutable extends EventStoreError {}
+
+// The append_key was already used for an event with different content.
+export class DuplicateAppendKey extends EventStoreError {}
+
+// previous_id was null but the entity already has events.
+export class StreamAlreadyExists extends EventStoreError {}
+
+// previous_id refers to an event in a different entity, or to no event at all.
+export class ForeignPreviousId extends EventStoreError {}
+
+// previous_id is not the newest event in the entity; replay the newer events and try again.
+export class ConcurrencyConflict extends EventStoreError {}
+
+// A snapshot refers to an event of a different entity, or to no event at all.
+export class ForeignSnapshotEvent extends EventStoreError {}
+
+// The entity has registered event types and the appended event is not one of them.
+export class UnregisteredEvent extends EventStoreError {}
+
+// A DELETE or UPDATE against the event_types registry. Postgres ignores these silently, like for the ledger.
+export class RegistryImmutable extends EventStoreError {}
+
+// An UPDATE against encryption_keys. Keys can only be deleted, which shreds the data encrypted with them.
+export class EncryptionKeyImmutable extends EventStoreError {}
+
+// causation_id refers to no event in the ledger.
+export class UnknownCausationEvent extends EventStoreError {}
+
+// The entity is not at the expected version of an expectedVersion append. Like any ConcurrencyConflict, replay the
+// newer events and try again.
+export class WrongExpectedVersion extends ConcurrencyConflict {}
+
+// The entity was closed by a terminal event and accepts no further events. Unlike a ConcurrencyConflict, retrying
+// cannot succeed.
+export class StreamClosed extends EventStoreError {}
+
+// An event matching the query of an append's condition was appended after the condition's position. Like any
+// ConcurrencyConflict, replay the matching events, decide again and retry.
+export class AppendConditionFailed extends ConcurrencyConflict {}
+
+// The event data does not match the JSON Schema registered for the event. Raised by the client before appending, with
+// the validator's errors.
+export class InvalidEventData extends EventStoreError {
+  constructor(message, { errors, ...options } = {}) {
+    super(message, options)
+    this.errors = errors
+  }
+}
+
+
+const errorClasses = {
+  ES001: LedgerImmutable,
+  ES002: LedgerImmutable,
+  ES004: DuplicateAppendKey,
+  ES005: StreamAlreadyExists,
+  ES006: ForeignPreviousId,
+  ES007: ConcurrencyConflict,
+  ES009: ForeignSnapshotEvent,
+  ES010: UnregisteredEvent,
+  ES011: RegistryImmutable,
+  ES012: RegistryImmutable,
+  ES013: EncryptionKeyImmutable,
+  ES014: UnknownCausationEvent,
+  ES015: WrongExpectedVersion,
+  ES016: StreamClosed,
+  ES017: AppendConditionFailed
+}
+
+
+/**
+ Wraps a driver error in the EventStoreError class for its code. Errors without a code are returned unchanged.
+ */
+export function toEventStoreError(err, code) {
+  if (!code) {
+    return err
+  }
+  const ErrorClass = errorClasses[code] ?? EventStoreError
+  return new ErrorClass(err.message.replace(/^ES\d{3}: /, ''), { code, cause: err })
+}
@@ -0,0 +1,384 @@
+import { nanoid } from 'nanoid'
+import { toEventStoreError } from './errors.js'
+import { createValidator } from './registry.js'
+import { createShredder } from './crypto-shredding.js'
+import { createUpcaster } from './upcasting.js'
+import { createSubscription } from './subscription.js'
+import { createRelay } from './relay.js'
+import { tail } from './tail.js'
+import { replayPages } from './paging.js'
+import { exportLedger, importLedger } from './ndjson.js'
+
+
+// expectedVersion of append() for an entity without events, and for an entity with events at any position
+export const NO_STREAM = 0
+export const STREAM_EXISTS = -1
+
+
+/**
+ One API over the SQLite, Postgres and SQL Server event stores. The adapter hides each dialect's append and replay SQL
+ and returns events shaped as
+ { entity, entityKey, event, data, version, metadata, correlationId, causationId, timestamp, eventId, streamPosition }.
+ Rejections from the DDL rules are rethrown as the EventStoreError classes in errors.js.
+
+ options.encryptedFields lists the personal data fields to encrypt per entity, like { customer: ['email'] }; see
+ crypto-shredding.js.
+ */
+export function createEventStore(adapter, { encryptedFields } = {}) {
+
+  async function call(operation) {
+    try {
+      return await operation()
+    } catch (err) {
+      throw toEventStoreError(err, adapter.errorCode(err))
+    }
+  }
+
+  const validator = createValidator(adapter)
+  const shredder = createShredder(adapter, encryptedFields)
+  const upcaster = createUpcaster()
+
+  // personal data is decrypted before upcasting, so upcasters see the data as it was appended
+  const read = async (events, tx) => upcaster.upcast(await shredder.decrypt(events, tx))
+
+  // reads the adapter's events decrypted and upcasted, for tail(), replayPages() and relay()
+  const reading = {
+    ...adapter,
+    async replay(filter) {
+      return read(await adapter.replay(filter))
+    },
+    async replayAfter(afterEventId, filter) {
+      return read(await adapter.replayAfter(afterEventId, filter))
+    },
+    async replayPage(filter, afterSequence, pageSize) {
+      const page = await adapter.replayPage(filter, afterSequence, pageSize)
+      return { ...page, events: await read(page.events) }
+    },
+    async deadLetteredEvents(name) {
+      return read(await adapter.deadLetteredEvents(name))
+    }
+  }
+
+  return {
+    /**
+     Appends one event and resolves to its generated event_id. Omit previousId for the first event in an entity.
+     Rejects with InvalidEventData before appending if data does not match the event's registered schema. version is
+     the schema version of data, by default the newest registered one. metadata is any JSON about the append,
+     correlationId groups the events of a workflow and causationId is the event_id of the event that caused this one.
+
+     Instead of previousId, expectedVersion can give the streamPosition of the entity's newest event, NO_STREAM for an
+     entity without events or STREAM_EXISTS for one with events at any position; null accepts any entity. The event
+     then follows the newest event, and an entity at another version rejects with WrongExpectedVersion.
+
+     terminal closes the entity with the event, as do events registered with registerTerminalEvent(). Appends to a
+     closed entity reject with StreamClosed.
+
+     tags label the event for queries across entities, like ['username:ada']. condition, as
+     { failIfEventsMatch, after }, appends only if no event matching the failIfEventsMatch query was appended after the
+     sequence after, and rejects with AppendConditionFailed otherwise; see replayMatching(). It combines with previousId,
+     not with expectedVersion.
+     */
+    async append({
+      entity,
+      entityKey,
+      event,
+      data,
+      version,
+      metadata = null,
+      correlationId = null,
+      causationId = null,
+      appendKey = nanoid(),
+      previousId = null,
+      expectedVersion,
+      terminal = false,
+      tags = [],
+      condition
+    }) {
+      if (previousId !== null && expectedVersion !== undefined) {
+        throw new TypeError('append takes a previousId or an expectedVersion, not both')
+      }
+      if (condition && expectedVersion !== undefined) {
+        throw new TypeError('append takes a condition or an expectedVersion, not both')
+      }
+      const schemaVersion = await validator.validate(entity, event, data, version)
+      return call(async () => adapter.append({
+        entity,
+        entityKey,
+        event,
+        data: JSON.stringify(await shredder.encrypt(entity, entityKey, appendKey, data)),
+        version: schemaVersion,
+        metadata: metadata === null ? null : JSON.stringify(metadata),
+        correlationId,
+        causationId,
+        appendKey,
+        previousId,
+        expectedVersion,
+        terminal,
+        tags: JSON.stringify(tags),
+        condition: condition && { failIfEventsMatch: JSON.stringify(condition.failIfEventsMatch), after: condition.after ?? 0 }
+      }))
+    },
+
+    /**
+     Appends several events to one entity atomically and resolves to their event_ids in order. Each event is
+     { event, data, version, metadata, correlationId, causationId, appendKey, terminal, tags }; the first follows previousId
+     and each later one follows the event before it. metadata, correlationId and causationId given for the batch apply
+     to the events that do not set their own. Only the last event can be terminal.
+     */
+    async appendEvents({ entity, entityKey, previousId = null, metadata = null, correlationId = null, causationId = null, events }) {
+      const schemaVersions = []
+      for (const { event, data, version } of events) {
+        schemaVersions.push(await validator.validate(entity, event, data, version))
+      }
+      return call(async () => adapter.appendEvents({
+        entity,
+        entityKey,
+        previousId,
+        events: JSON.stringify(await Promise.all(events.map(async ({ event, data, appendKey = nanoid(), terminal = false, tags = [], ...batched }, i) => ({
+          event,
+          data: await shredder.encrypt(entity, entityKey, appendKey, data),
+          schema_version: schemaVersions[i],
+          metadata: batched.metadata ?? metadata,
+          correlation_id: batched.correlationId ?? correlationId,
+          causation_id: batched.causationId ?? causationId,
+          append_key: appendKey,
+          terminal,
+          tags
+        }))))
+      }))
+    },
+
+    /**
+     Registers event for entity with the JSON Schema its data must match. Once an entity has a registered event, the
+     DDL rejects appends of unregistered events to it. Registrations cannot be changed; register a new schema under a
+     higher version instead, and appends are validated against the highest.
+     */
+    async registerEventType({ entity, event, version = 1, schema = {} }) {
+      validator.compile(entity, event, { version, schema })
+      return call(() => adapter.registerEventType({ entity, event, version, schema: JSON.stringify(schema) }))
+    },
+
+    /**
+     Registers event as terminal for entity: appending it closes the entity instance, which then rejects further
+     appends with StreamClosed. Registering an event again has no effect.
+     */
+    async registerTerminalEvent({ entity, event }) {
+      return call(() => adapter.registerTerminalEvent({ entity, event }))
+    },
+
+    /**
+     Registers upcast(data, event) to turn the data of event at schema version fromVersion into the data of the next
+     version. Replays run upcasters in a chain, so events of every older version come out at the newest one.
+     */
+    registerUpcaster({ entity, event, fromVersion, upcast }) {
+      upcaster.register({ entity, event, fromVersion, upcast })
+    },
+
+    /**
+     Replays events in ledger order, optionally filtered by entity, entityKey and a list of event names.
+     */
+    async replay(filter = {}) {
+      return call(() => reading.replay(filter))
+    },
+
+    /**
+     Replays the events matching query, a list of { events, tags } criteria: an event matches a criterion when it is
+     one of its events and carries all of its tags, either left out to match any, and matches the query when it
+     matches any criterion. Resolves to { events, position }, where position is the sequence of the newest event, 0
+     when none match. Decide on the events, then append with the condition { failIfEventsMatch: query, after: position }
+     to reject the append if a matching event was appended since.
+     */
+    async replayMatching(query) {
+      return call(async () => {
+        const { events, position } = await adapter.replayMatching(JSON.stringify(query))
+        return { events: await read(events), position }
+      })
+    },
+
+    /**
+     Replays events appended after afterEventId, accepting the same filter as replay().
+     */
+    async replayAfter(afterEventId, filter = {}) {
+      return call(() => reading.replayAfter(afterEventId, filter))
+    },
+
+    /**
+     Replays one page of up to pageSize events after the sequence cursor, 0 for the first page, accepting the same
+     filter as replay(). Resolves to { events, nextCursor }: pass nextCursor back for the following page. A page with
+     fewer than pageSize events is the last one for now, and its nextCursor picks up the events appended later. Pages
+     end at the database's high-water mark, before any event whose append has yet to commit, so checkpointing
+     nextCursor never skips an event.
+     */
+    async replayPage(filter = {}, { cursor = 0, pageSize = 1000 } = {}) {
+      return call(() => reading.replayPage(filter, cursor, pageSize))
+    },
+
+    /**
+     An async iterator over every event after options.after, an event_id, or options.cursor, a replayPage() cursor,
+     accepting the same filter as replay(). It reads options.pageSize events at a time, so replaying a ledger of
+     millions of events holds one page in memory rather than all of them.
+     */
+    replayPages(options) {
+      return replayPages(reading, call, options)
+    },
+
+    /**
+     Replays the ledger as it was when the event with sequence untilSequence was appended, that event included,
+     accepting the same filter as replay(). A replayPage() cursor is such a sequence.
+     */
+    async replayUntil(untilSequence, filter = {}) {
+      return call(async () => read(await adapter.replayUntil(untilSequence, filter)))
+    },
+
+    /**
+     Replays the events with a timestamp up to and including the Date asOf, accepting the same filter as replay(),
+     to rebuild entities as they were at that time.
+     */
+    async replayAsOf(asOf, filter = {}) {
+      return call(async () => read(await adapter.replayAsOf(asOf, filter)))
+    },
+
+    /**
+     Resolves to the causes and effects of eventId across entities in ledger order, each event with a depth: negative
+     for the events its causationId leads back to, 0 for the event itself and positive for the events it caused, and
+     the events they caused in turn. Resolves to an empty list for an unknown event.
+     */
+    async causalChain(eventId) {
+      return call(async () => read(await adapter.causalChain(eventId)))
+    },
+
+    /**
+     Resolves to the newest event_id of an entity, to be used as the next append's previousId, or null if the entity
+     has no events.
+     */
+    async head(entity, entityKey) {
+      return call(() => adapter.head(entity, entityKey))
+    },
+
+    /**
+     Resolves to the head of an entity, { entity, entityKey, headEventId, eventCount, lastSequence, closed }, or null
+     if the entity has no events. eventCount is also the entity's expected version for the next append, and closed is
+     true once a terminal event was appended.
+     */
+    async stream(entity, entityKey) {
+      return call(() => adapter.stream(entity, entityKey))
+    },
+
+    /**
+     Resolves to the entities closed by a terminal event, optionally of one entity type, in the order they were closed,
+     as { entity, entityKey, event, eventId, timestamp, sequence } with the event that closed them.
+     */
+    async closedStreams({ entity } = {}) {
+      return call(() => adapter.closedStreams({ entity }))
+    },
+
+    /**
+     Resolves to the event_id that was the head of an entity at the Date asOf, or null if it had no events by then.
+     */
+    async headAsOf(entity, entityKey, asOf) {
+      return call(() => adapter.headAsOf(entity, entityKey, asOf))
+    },
+
+    /**
+     Stores the state of an entity as of eventId, replacing any snapshot already stored for that event. version is
+     the schema version of data, so snapshots written by older code can be recognised and deleted.
+     */
+    async saveSnapshot({ entity, entityKey, eventId, version, data }) {
+      return call(() => adapter.saveSnapshot({ entity, entityKey, eventId, version, data: JSON.stringify(data) }))
+    },
+
+    /**
+     Deletes every snapshot of an entity. Replay then starts from its first event again.
+     */
+    async deleteSnapshots(entity, entityKey) {
+      return call(() => adapter.deleteSnapshots(entity, entityKey))
+    },
+
+    /**
+     Resolves to { snapshot, events }: the latest snapshot of an entity, or null, and the events appended after it.
+     */
+    async replayFromSnapshot(entity, entityKey) {
+      return call(async () => {
+        const { snapshot, events } = await adapter.replayFromSnapshot(entity, entityKey)
+        return { snapshot, events: await read(events) }
+      })
+    },
+
+    /**
+     Creates a checkpointed subscription named name that passes batches of events, optionally filtered by entity,
+     entityKey and events, to handler(events, tx). See subscription.js.
+     */
+    subscription(options) {
+      return createSubscription(adapter, call, {
+        ...options,
+        handler: async (events, tx) => options.handler(await read(events, tx), tx)
+      })
+    },
+
+    /**
+     Creates an outbox relay named name that delivers the events, optionally filtered by entity, entityKey and events,
+     to options.sink with retries and dead letters. See relay.js and sinks.js.
+     */
+    relay(options) {
+      return createRelay(reading, call, options)
+    },
+
+    /**
+     An async iterator over the events after options.after or options.cursor, or those appended from now on,
+     accepting the same filter as replay(), that keeps waiting for new events until options.signal is aborted or the
+     loop exits. Postgres wakes on LISTEN/NOTIFY, and every backend polls every options.interval milliseconds.
+     */
+    tail(options) {
+      return tail(reading, call, options)
+    },
+
+    /**
+     Chains the events committed since the last seal into the hash chain of the whole ledger, and resolves to how many
+     it sealed. Postgres and SQL Server appends only chain each event to its stream, so run it regularly; SQLite chains
+     the ledger as it appends and resolves to 0.
+     */
+    async sealLedger() {
+      return call(() => adapter.sealLedger())
+    },
+
+    /**
+     Recomputes the ledger's hash chain and resolves to the first broken link as
+     { sequence, eventId, hash, expectedHash }, or null when the ledger is intact.
+     */
+    async verifyLedger() {
+      return call(() => adapter.verifyLedger())
+    },
+
+    /**
+     Checks that every stream is a single unbroken chain of previous_ids. Resolves to the violations found by
+     check_ledger_integrity as { violation, entity, entityKey, eventId, previousId, sequence }, empty when there are none.
+     */
+    async checkIntegrity() {
+      return call(() => adapter.checkIntegrity())
+    },
+
+    /**
+     Yields the whole ledger as NDJSON lines in ledger order; see ndjson.js for the format. Encrypted fields stay
+     encrypted, and the encryption keys are not part of the export.
+     */
+    exportLedger(options) {
+      return exportLedger(adapter, call, options)
+    },
+
+    /**
+     Restores the events of NDJSON lines, as written by exportLedger(), with their original event_ids, append keys and
+     timestamps. Resolves to the number of events imported.
+     */
+    async importLedger(lines, options) {
+      return importLedger(adapter, call, lines, options)
+    },
+
+    /**
+     Deletes the encryption key of an entity instance. Its encrypted fields replay as REDACTED from then on, while
+     the events stay in the ledger. Snapshots may hold the same personal data; delete them with deleteSnapshots().
+     */
+    async shred(entity, entityKey) {
+      return call(() => shredder.shred(entity, entityKey))
+    }
+  }
+}
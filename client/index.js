@@ -0,0 +1,24 @@
+export { createEventStore, NO_STREAM, STREAM_EXISTS } from './event-store.js'
+export {
+  EventStoreError,
+  LedgerImmutable,
+  DuplicateAppendKey,
+  StreamAlreadyExists,
+  ForeignPreviousId,
+  ConcurrencyConflict,
+  ForeignSnapshotEvent,
+  UnregisteredEvent,
+  RegistryImmutable,
+  EncryptionKeyImmutable,
+  UnknownCausationEvent,
+  WrongExpectedVersion,
+  StreamClosed,
+  AppendConditionFailed,
+  InvalidEventData
+} from './errors.js'
+export { REDACTED } from './crypto-shredding.js'
+export { webhookSink, ndjsonSink } from './sinks.js'
+export { sqliteAdapter, registerSqliteFunctions } from './sqlite-adapter.js'
+export { verifySqliteLedger } from './ledger-hash.js'
+export { postgresAdapter } from './postgres-adapter.js'
+export { sqlServerAdapter } from './sql-server-adapter.js'
@@ -0,0 +1,64 @@
+import { createHash } from 'node:crypto'
+import { sqliteConnection } from './sqlite-connection.js'
+
+
+export function sha256(text) {
+  return createHash('sha256').update(text, 'utf8').digest('hex')
+}
+
+
+/**
+ Recomputes the hash chain of a SQLite ledger in JavaScript rather than with SQL stored in the database, as whoever
+ edited the file could have changed the triggers too. Returns the first broken link as
+ { sequence, eventId, hash, expectedHash }, or null when every event's hash matches.
+ */
+export function verifySqliteLedger(db) {
+  const rows = sqliteConnection(db).iterate(`
+SELECT l.entity,
+       l.entity_key,
+       l.event,
+       CAST(l.data AS TEXT) AS data,
+       l.schema_version,
+       CAST(l.metadata AS TEXT) AS metadata,
+       l.correlation_id,
+       l.causation_id,
+       CAST(l.tags AS TEXT) AS tags,
+       l.terminal,
+       l.append_key,
+       l.previous_id,
+       l.event_id,
+       l.timestamp,
+       l.sequence,
+       l.hash,
+       p.hash AS previous_id_hash
+FROM ledger l
+         LEFT JOIN ledger p ON p.event_id = l.previous_id
+ORDER BY l.sequence`)
+  let previousHash = null
+  for (const row of rows) {
+    // the same values, in the same order, as json_array() in the hash_event_on_append trigger
+    const expectedHash = sha256(JSON.stringify([
+      row.entity,
+      row.entity_key,
+      row.event,
+      row.data,
+      row.append_key,
+      row.previous_id,
+      row.event_id,
+      row.timestamp,
+      row.schema_version,
+      row.metadata,
+      row.correlation_id,
+      row.causation_id,
+      row.tags,
+      row.terminal,
+      row.previous_id_hash,
+      previousHash
+    ]))
+    if (row.hash !== expectedHash) {
+      return { sequence: row.sequence, eventId: row.event_id, hash: row.hash, expectedHash }
+    }
+    previousHash = row.hash
+  }
+  return null
+}
@@ -0,0 +1,109 @@
+/**
+ The portable ledger format: newline-delimited JSON with one event per line, in ledger order, named like the ledger's
+ columns. sequence and hash are left out; the importing ledger assigns them again in line order.
+
+ {"entity":"game","entity_key":"apr-7-2025","event":"game started","data":true,"schema_version":1,"metadata":null,
+  "correlation_id":null,"causation_id":null,"append_key":"...","previous_id":null,"event_id":"...","timestamp":"2025-04-07T12:00:00.000Z",
+  "terminal":false,"tags":[]}
+ */
+
+function toRecord({
+  entity,
+  entityKey,
+  event,
+  data,
+  version,
+  metadata,
+  correlationId,
+  causationId,
+  appendKey,
+  previousId,
+  eventId,
+  timestamp,
+  terminal,
+  tags
+}) {
+  return {
+    entity,
+    entity_key: entityKey,
+    event,
+    data,
+    schema_version: version,
+    metadata,
+    correlation_id: correlationId,
+    causation_id: causationId,
+    append_key: appendKey,
+    previous_id: previousId,
+    event_id: eventId,
+    timestamp: timestamp.toISOString(),
+    terminal,
+    tags
+  }
+}
+
+
+function fromRecord(record) {
+  return {
+    entity: record.entity,
+    entityKey: record.entity_key,
+    event: record.event,
+    data: JSON.stringify(record.data),
+    version: record.schema_version ?? 1,
+    metadata: record.metadata == null ? null : JSON.stringify(record.metadata),
+    correlationId: record.correlation_id ?? null,
+    causationId: record.causation_id ?? null,
+    appendKey: record.append_key,
+    previousId: record.previous_id,
+    eventId: record.event_id,
+    timestamp: new Date(record.timestamp),
+    terminal: record.terminal ?? false,
+    tags: record.tags ?? []
+  }
+}
+
+
+/**
+ Yields the whole ledger as NDJSON lines, each ending with a newline. Reads batchSize events at a time.
+ */
+export async function* exportLedger(adapter, call, { batchSize = 1000 } = {}) {
+  let afterSequence = 0
+  while (true) {
+    const events = await call(() => adapter.exportEvents(afterSequence, batchSize))
+    for (const event of events) {
+      yield `${JSON.stringify(toRecord(event))}\n`
+    }
+    if (events.length < batchSize) {
+      return
+    }
+    afterSequence = events.at(-1).sequence
+  }
+}
+
+
+/**
+ Appends the events of NDJSON lines, an iterable or async iterable of strings such as a readline interface, keeping
+ their event_id, previous_id, append_key and timestamp. Each batch of batchSize events commits in its own
+ transaction, with the ledger's rules checked as usual. Resolves to the number of events imported.
+ */
+export async function importLedger(adapter, call, lines, { batchSize = 1000 } = {}) {
+  let imported = 0
+  let batch = []
+  const flush = async () => {
+    await call(() => adapter.importEvents(batch))
+    imported += batch.length
+    batch = []
+  }
+
+  for await (const line of lines) {
+    if (line.trim()) {
+      batch.push(fromRecord(JSON.parse(line)))
+    }
+    if (batch.length === batchSize) {
+      await flush()
+    }
+  }
+  if (batch.length) {
+    await flush()
+  }
+  return imported
+}
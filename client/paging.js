@@ -0,0 +1,22 @@
+/**
+ Yields the events after the event options.after, or after the sequence options.cursor, or from the first event, in
+ ledger order, accepting the same filter as replay(). Reads pageSize events at a time by their sequence, so memory
+ stays bounded however long the ledger is, and stops at the end of the ledger rather than waiting like tail().
+ */
+export async function* replayPages(adapter, call, { after = null, cursor = 0, entity, entityKey, events, pageSize = 1000 } = {}) {
+  const filter = { entity, entityKey, events }
+  if (after) {
+    cursor = await call(() => adapter.eventSequence(after))
+    if (cursor === null) {
+      throw new Error(`Event with ID ${after} does not exist`)
+    }
+  }
+  while (true) {
+    const page = await call(() => adapter.replayPage(filter, cursor, pageSize))
+    yield* page.events
+    if (page.events.length < pageSize) {
+      return
+    }
+    cursor = page.nextCursor
+  }
+}
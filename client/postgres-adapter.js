@@ -0,0 +1,449 @@
+import { filterClause, toEvent, toPage, toStream, toClosedStream, toMatches, toRelayState, toDeadLetter, toSnapshotReplay, toViolation, toLedgerEvent, toChainEvent } from './sql.js'
+
+
+const uniqueViolation = '23505'
+
+const uniqueConstraintCodes = {
+  ledger_append_key_key: 'ES004',
+  ledger_previous_id_key: 'ES007',
+  ledger_stream_position_key: 'ES007'
+}
+
+
+/**
+ Adapter for a pglite instance or a node-postgres Pool/Client loaded with postgres-event-store.ddl. Both expose the same
+ query(text, params) interface. Reads and appends are those of the connection's tenant, its event_store.tenant setting.
+ */
+export function postgresAdapter(db) {
+
+  async function replayQuery(from, filter, params) {
+    const conditions = filterClause(filter, (value) => {
+      params.push(value)
+      return `$${params.length}`
+    })
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    const { rows } = await db.query(`SELECT * FROM ${from} ${where}`, params)
+    return rows.map(toEvent)
+  }
+
+  async function transaction(operation) {
+    if (db.transaction) {
+      // pglite
+      return db.transaction(operation)
+    }
+    // a pg Pool runs each query on any idle client, so the transaction needs a client of its own
+    const client = 'totalCount' in db ? await db.connect() : db
+    try {
+      await client.query('BEGIN')
+      const result = await operation(client)
+      await client.query('COMMIT')
+      return result
+    } catch (err) {
+      await client.query('ROLLBACK')
+      throw err
+    } finally {
+      if (client !== db) {
+        client.release()
+      }
+    }
+  }
+
+  return {
+    async append({
+      entity,
+      entityKey,
+      event,
+      data,
+      version,
+      metadata,
+      correlationId,
+      causationId,
+      appendKey,
+      previousId,
+      expectedVersion,
+      terminal,
+      tags,
+      condition
+    }) {
+      // append_event_at_version takes the expected version in place of previous_id, and append_event_with_condition
+      // takes the condition after previous_id
+      const [fn, position] = expectedVersion === undefined
+        ? [condition ? 'append_event_with_condition' : 'append_event', previousId]
+        : ['append_event_at_version', expectedVersion]
+      const [conditionArgs, conditionParams] = condition
+        ? [', $13::jsonb, $14', [condition.failIfEventsMatch, condition.after]]
+        : ['', []]
+      const { rows: [{ event_id }] } = await db.query(`
+SELECT ${fn}($1, $2, $3, $4::jsonb, $5, $6${conditionArgs}, $7, $8::jsonb, $9, $10, $11,
+             ARRAY(SELECT jsonb_array_elements_text($12::jsonb))) AS event_id`,
+        [entity, entityKey, event, data, appendKey, position, version, metadata, correlationId, causationId, terminal, tags,
+          ...conditionParams])
+      return event_id
+    },
+
+    async appendEvents({ entity, entityKey, previousId, events }) {
+      const { rows: [{ event_ids }] } = await db.query(
+        'SELECT append_events($1, $2, $3, ARRAY(SELECT jsonb_array_elements($4::jsonb))) AS event_ids',
+        [entity, entityKey, previousId, events])
+      return event_ids
+    },
+
+    async replay(filter) {
+      return replayQuery('tenant_replay_events', filter, [])
+    },
+
+    async replayAfter(afterEventId, filter) {
+      return replayQuery('tenant_replay_events_after($1)', filter, [afterEventId])
+    },
+
+    async replayMatching(query) {
+      const { rows } = await db.query('SELECT * FROM replay_events_matching($1::jsonb)', [query])
+      return toMatches(rows)
+    },
+
+    async eventSequence(eventId) {
+      const { rows: [row] } = await db.query(
+        'SELECT sequence FROM ledger WHERE tenant = current_tenant() AND event_id = $1', [eventId])
+      return row ? Number(row.sequence) : null
+    },
+
+    async highWaterMark() {
+      const { rows: [row] } = await db.query('SELECT high_water_mark() AS sequence')
+      return Number(row.sequence)
+    },
+
+    async replayPage(filter, afterSequence, pageSize) {
+      const params = [afterSequence, pageSize]
+      // pages end at the high-water mark, so a cursor never passes an event that is yet to commit
+      const conditions = ['sequence > $1', 'sequence <= high_water_mark()', ...filterClause(filter, (value) => {
+        params.push(value)
+        return `$${params.length}`
+      })]
+      const { rows } = await db.query(`
+SELECT *
+FROM tenant_replay_events
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence
+LIMIT $2`, params)
+      return toPage(rows, afterSequence)
+    },
+
+    async replayUntil(untilSequence, filter) {
+      return replayQuery('replay_events_until($1)', filter, [untilSequence])
+    },
+
+    async replayAsOf(asOf, filter) {
+      return replayQuery('replay_events_as_of($1)', filter, [asOf])
+    },
+
+    async causalChain(eventId) {
+      const { rows } = await db.query('SELECT * FROM causal_chain($1)', [eventId])
+      return rows.map(toChainEvent)
+    },
+
+    async head(entity, entityKey) {
+      const { rows: [row] } = await db.query(
+        'SELECT head_event_id FROM streams WHERE tenant = current_tenant() AND entity = $1 AND entity_key = $2',
+        [entity, entityKey])
+      return row?.head_event_id ?? null
+    },
+
+    async stream(entity, entityKey) {
+      const { rows: [row] } = await db.query(
+        'SELECT * FROM streams WHERE tenant = current_tenant() AND entity = $1 AND entity_key = $2', [entity, entityKey])
+      return row ? toStream(row) : null
+    },
+
+    async closedStreams({ entity }) {
+      const { rows } = await db.query(`
+SELECT *
+FROM closed_streams
+WHERE tenant = current_tenant()
+  AND ($1::TEXT IS NULL OR entity = $1)
+ORDER BY sequence`, [entity ?? null])
+      return rows.map(toClosedStream)
+    },
+
+    async headAsOf(entity, entityKey, asOf) {
+      const { rows: [{ event_id }] } = await db.query('SELECT head_as_of($1, $2, $3) AS event_id', [entity, entityKey, asOf])
+      return event_id
+    },
+
+    async saveSnapshot({ entity, entityKey, eventId, version, data }) {
+      await db.query(`
+INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data)
+    VALUES ($1, $2, $3, $4, $5::jsonb)
+    ON CONFLICT (tenant, entity, entity_key, event_id) DO UPDATE
+        SET schema_version = excluded.schema_version,
+            data = excluded.data,
+            timestamp = excluded.timestamp`,
+        [entity, entityKey, eventId, version, data])
+    },
+
+    async deleteSnapshots(entity, entityKey) {
+      await db.query('DELETE FROM snapshots WHERE tenant = current_tenant() AND entity = $1 AND entity_key = $2', [entity, entityKey])
+    },
+
+    async replayFromSnapshot(entity, entityKey) {
+      const { rows } = await db.query('SELECT * FROM replay_events_from_snapshot($1, $2)', [entity, entityKey])
+      return toSnapshotReplay(rows)
+    },
+
+    async registerEventType({ entity, event, version, schema }) {
+      await db.query('INSERT INTO event_types (entity, event, schema_version, schema) VALUES ($1, $2, $3, $4::jsonb)',
+        [entity, event, version, schema])
+    },
+
+    async eventSchema(entity, event, version = null) {
+      const { rows: [row] } = await db.query(`
+SELECT schema_version, schema
+FROM event_types
+WHERE entity = $1
+  AND event = $2
+  AND schema_version = coalesce($3::INTEGER, schema_version)
+ORDER BY schema_version DESC
+LIMIT 1`, [entity, event, version])
+      return row ? { version: row.schema_version, schema: row.schema } : null
+    },
+
+    async registerTerminalEvent({ entity, event }) {
+      await db.query('INSERT INTO terminal_events (entity, event) VALUES ($1, $2) ON CONFLICT DO NOTHING', [entity, event])
+    },
+
+    async createEncryptionKey(entity, entityKey, key) {
+      await db.query('INSERT INTO encryption_keys (entity, entity_key, key) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [entity, entityKey, key])
+      const { rows: [row] } = await db.query(`
+SELECT key
+FROM encryption_keys
+WHERE tenant = current_tenant()
+  AND entity = $1
+  AND entity_key = $2`, [entity, entityKey])
+      return row.key
+    },
+
+    async appendedData(appendKey) {
+      const { rows: [row] } = await db.query(`
+SELECT data
+FROM ledger
+WHERE tenant = current_tenant()
+  AND append_key = $1`, [appendKey])
+      return row?.data ?? null
+    },
+
+    // tx is the subscription transaction when decrypting a subscription's batch
+    async encryptionKey(entity, entityKey, tx = db) {
+      const { rows: [row] } = await tx.query(`
+SELECT key
+FROM encryption_keys
+WHERE tenant = current_tenant()
+  AND entity = $1
+  AND entity_key = $2`, [entity, entityKey])
+      return row?.key ?? null
+    },
+
+    async shredEncryptionKey(entity, entityKey) {
+      await db.query(`
+DELETE
+FROM encryption_keys
+WHERE tenant = current_tenant()
+  AND entity = $1
+  AND entity_key = $2`, [entity, entityKey])
+    },
+
+    async handleSubscriptionBatch(name, filter, batchSize, handler) {
+      return transaction(async (tx) => {
+        await tx.query('INSERT INTO subscriptions (name) VALUES ($1) ON CONFLICT (tenant, name) DO NOTHING', [name])
+        // the row lock keeps two runners of the same subscription from handling a batch twice
+        const { rows: [{ after_sequence }] } = await tx.query(`
+SELECT coalesce(l.sequence, 0) AS after_sequence
+FROM subscriptions s
+         LEFT JOIN ledger l ON l.event_id = s.last_event_id
+WHERE s.tenant = current_tenant()
+  AND s.name = $1
+FOR UPDATE OF s`, [name])
+        const params = [after_sequence]
+        const conditions = ['tenant = current_tenant()', 'sequence > $1', 'sequence <= high_water_mark()',
+          ...filterClause(filter, (value) => {
+            params.push(value)
+            return `$${params.length}`
+          })]
+        params.push(batchSize)
+        const { rows } = await tx.query(`
+SELECT entity, entity_key, event, data, schema_version, metadata, correlation_id, causation_id, timestamp, event_id,
+       stream_position
+FROM ledger
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence
+LIMIT $${params.length}`, params)
+        const events = rows.map(toEvent)
+        if (events.length) {
+          await handler(events, tx)
+          await tx.query(`
+UPDATE subscriptions
+SET last_event_id = $1,
+    updated_at    = CURRENT_TIMESTAMP
+WHERE tenant = current_tenant()
+  AND name = $2`, [events.at(-1).eventId, name])
+        }
+        return events.length
+      })
+    },
+
+    async subscriptionPosition(name) {
+      const { rows: [row] } = await db.query('SELECT last_event_id FROM subscriptions WHERE tenant = current_tenant() AND name = $1', [name])
+      return row?.last_event_id ?? null
+    },
+
+    async rewindSubscription(name) {
+      await db.query(`
+INSERT INTO subscriptions (name) VALUES ($1)
+    ON CONFLICT (tenant, name) DO UPDATE
+        SET last_event_id = NULL,
+            updated_at    = CURRENT_TIMESTAMP`, [name])
+    },
+
+    async listen(onAppend) {
+      if (db.listen) {
+        // pglite
+        return db.listen('ledger', (payload) => onAppend(JSON.parse(payload)))
+      }
+      // LISTEN belongs to a session, so a pg Pool lends one client for as long as the listener is open
+      const client = 'totalCount' in db ? await db.connect() : db
+      const onNotification = ({ channel, payload }) => channel === 'ledger' && onAppend(JSON.parse(payload))
+      client.on('notification', onNotification)
+      await client.query('LISTEN ledger')
+      return async () => {
+        await client.query('UNLISTEN ledger')
+        client.off('notification', onNotification)
+        if (client !== db) {
+          client.release()
+        }
+      }
+    },
+
+    async relayState(name) {
+      await db.query('INSERT INTO relays (name) VALUES ($1) ON CONFLICT (tenant, name) DO NOTHING', [name])
+      const { rows: [row] } = await db.query('SELECT * FROM relays WHERE tenant = current_tenant() AND name = $1', [name])
+      return toRelayState(row)
+    },
+
+    async recordRelayDelivery(name, lastSequence) {
+      await db.query(`
+UPDATE relays
+SET last_sequence = $2,
+    attempts      = 0,
+    last_error    = NULL,
+    updated_at    = CURRENT_TIMESTAMP
+WHERE tenant = current_tenant()
+  AND name = $1`, [name, lastSequence])
+    },
+
+    async recordRelayFailure(name, error) {
+      const { rows: [{ attempts }] } = await db.query(`
+UPDATE relays
+SET attempts   = attempts + 1,
+    last_error = $2,
+    updated_at = CURRENT_TIMESTAMP
+WHERE tenant = current_tenant()
+  AND name = $1
+RETURNING attempts`, [name, error])
+      return attempts
+    },
+
+    async deadLetter(name, eventId, error) {
+      await db.query('INSERT INTO dead_letters (relay, event_id, error) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [name, eventId, error])
+    },
+
+    async deadLetters(name) {
+      const { rows } = await db.query(`
+SELECT d.event_id, d.error, d.failed_at
+FROM dead_letters d
+         JOIN ledger l ON l.event_id = d.event_id
+WHERE d.tenant = current_tenant()
+  AND d.relay = $1
+ORDER BY l.sequence`, [name])
+      return rows.map(toDeadLetter)
+    },
+
+    async deadLetteredEvents(name) {
+      return replayQuery(`(SELECT *
+ FROM tenant_replay_events
+ WHERE event_id IN (SELECT event_id FROM dead_letters WHERE tenant = current_tenant() AND relay = $1)
+ ORDER BY sequence) e`, {}, [name])
+    },
+
+    async deleteDeadLetter(name, eventId) {
+      await db.query('DELETE FROM dead_letters WHERE tenant = current_tenant() AND relay = $1 AND event_id = $2',
+        [name, eventId])
+    },
+
+    async sealLedger() {
+      const { rows: [row] } = await db.query('SELECT seal_ledger() AS sealed')
+      return Number(row.sealed)
+    },
+
+    async verifyLedger() {
+      const { rows: [row] } = await db.query('SELECT * FROM verify_ledger()')
+      return row
+        ? { sequence: Number(row.sequence), eventId: row.event_id, hash: row.hash, expectedHash: row.expected_hash }
+        : null
+    },
+
+    async checkIntegrity() {
+      const { rows } = await db.query('SELECT * FROM check_ledger_integrity()')
+      return rows.map(toViolation)
+    },
+
+    async exportEvents(afterSequence, limit) {
+      const { rows } = await db.query(`
+SELECT entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       causation_id,
+       append_key,
+       previous_id,
+       event_id,
+       timestamp,
+       terminal,
+       tags,
+       sequence
+FROM ledger
+WHERE tenant = current_tenant()
+  AND sequence > $1
+ORDER BY sequence
+LIMIT $2`, [afterSequence, limit])
+      return rows.map(toLedgerEvent)
+    },
+
+    async importEvents(events) {
+      await transaction(async (tx) => {
+        // restore mode keeps the exported event_ids, for this transaction only
+        await tx.query(`SELECT set_config('event_store.restore', 'on', true)`)
+        for (const { entity, entityKey, event, data, version, metadata, correlationId, causationId, appendKey, previousId,
+          eventId, timestamp, terminal, tags } of events) {
+          await tx.query(`
+INSERT INTO ledger (entity, entity_key, event, data, schema_version, metadata, correlation_id, causation_id,
+                    append_key, previous_id, event_id, timestamp, terminal, tags)
+VALUES ($1, $2, $3, $4::jsonb, $5, $6::jsonb, $7, $8, $9, $10, $11, $12, $13,
+        ARRAY(SELECT jsonb_array_elements_text($14::jsonb)))`, [entity, entityKey, event, data, version, metadata,
+            correlationId, causationId, appendKey, previousId, eventId, timestamp, terminal, JSON.stringify(tags)])
+        }
+      })
+    },
+
+    errorCode(err) {
+      if (/^ES\d{3}$/.test(err.code)) {
+        return err.code
+      }
+      if (err.code === uniqueViolation) {
+        return uniqueConstraintCodes[err.constraint]
+      }
+    }
+  }
+}
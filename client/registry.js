@@ -0,0 +1,40 @@
+import Ajv from 'ajv'
+import { InvalidEventData } from './errors.js'
+
+
+/**
+ Validates event data against the JSON Schema registered for its entity, event and version, or the newest one when the
+ version is not given. Registrations are append-only, so each compiled schema is cached by its version; only the
+ lookup of the registration is repeated.
+ */
+export function createValidator(adapter) {
+  const ajv = new Ajv({ allErrors: true })
+  const compiled = new Map()
+
+  function compile(entity, event, { version, schema }) {
+    const key = JSON.stringify([entity, event, version])
+    if (!compiled.has(key)) {
+      compiled.set(key, ajv.compile(schema))
+    }
+    return compiled.get(key)
+  }
+
+  return {
+    // throws if schema is not a valid JSON Schema
+    compile,
+
+    // resolves to the schema version to append the event with
+    async validate(entity, event, data, version) {
+      const registered = await adapter.eventSchema(entity, event, version)
+      if (!registered) {
+        return version ?? 1
+      }
+      const validate = compile(entity, event, registered)
+      if (!validate(data)) {
+        throw new InvalidEventData(`${event} data does not match schema version ${registered.version}: ${ajv.errorsText(validate.errors)}`,
+          { errors: validate.errors })
+      }
+      return registered.version
+    }
+  }
+}
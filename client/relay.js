@@ -0,0 +1,125 @@
+import { setTimeout } from 'node:timers/promises'
+
+
+/**
+ An outbox relay named name that forwards the ledger's events, optionally filtered by entity, entityKey and events, to
+ sink.send(events) in batches of at most batchSize, in ledger order and at least once. Its delivery state is the
+ name's row in the relays table, so a restarted relay resumes after the last batch it recorded. A failed batch is sent
+ again after a backoff that doubles from backoff up to maxBackoff milliseconds; after maxAttempts failures in a row
+ its events are sent one at a time, and those the sink rejects while it accepts others go to the dead_letters table so
+ the relay can move on. When the sink rejects every one of them it is down rather than the events bad, so the batch
+ keeps being retried.
+ */
+export function createRelay(adapter, call, {
+  name,
+  sink,
+  entity,
+  entityKey,
+  events,
+  batchSize = 100,
+  maxAttempts = 5,
+  backoff = 1000,
+  maxBackoff = 60000
+}) {
+  const filter = { entity, entityKey, events }
+  let attempts = 0
+
+  async function poll() {
+    const state = await call(() => adapter.relayState(name))
+    attempts = state.attempts
+    const page = await call(() => adapter.replayPage(filter, state.lastSequence, batchSize))
+    if (!page.events.length) {
+      return 0
+    }
+    if (attempts < maxAttempts) {
+      try {
+        await sink.send(page.events)
+      } catch (err) {
+        attempts = await call(() => adapter.recordRelayFailure(name, String(err?.message ?? err)))
+        throw err
+      }
+    } else {
+      const rejected = []
+      for (const event of page.events) {
+        try {
+          await sink.send([event])
+        } catch (err) {
+          rejected.push({ event, err })
+        }
+      }
+      if (rejected.length === page.events.length) {
+        const { err } = rejected.at(-1)
+        attempts = await call(() => adapter.recordRelayFailure(name, String(err?.message ?? err)))
+        throw err
+      }
+      for (const { event, err } of rejected) {
+        await call(() => adapter.deadLetter(name, event.eventId, String(err?.message ?? err)))
+      }
+    }
+    await call(() => adapter.recordRelayDelivery(name, page.nextCursor))
+    attempts = 0
+    return page.events.length
+  }
+
+  return {
+    name,
+
+    /**
+     Sends the next batch and resolves to the number of its events, delivered or dead-lettered. Rejects with the
+     sink's error when the batch fails, after recording the failure.
+     */
+    poll,
+
+    /**
+     Polls until signal is aborted, waiting interval milliseconds whenever the relay has caught up and backing off
+     after failures.
+     */
+    async run({ interval = 1000, signal } = {}) {
+      while (!signal?.aborted) {
+        let wait
+        try {
+          wait = await poll() < batchSize ? interval : 0
+        } catch {
+          wait = Math.min(backoff * 2 ** Math.max(attempts - 1, 0), maxBackoff)
+        }
+        if (wait) {
+          await setTimeout(wait, undefined, { signal }).catch(() => {})
+        }
+      }
+    },
+
+    /**
+     Resolves to { lastSequence, attempts, lastError }: the sequence of the newest event delivered, 0 before the
+     first, and the failed sends in a row of the next batch with the newest failure's error.
+     */
+    async state() {
+      return call(() => adapter.relayState(name))
+    },
+
+    /**
+     Resolves to the events the relay gave up on as { eventId, error, failedAt }, in ledger order.
+     */
+    async deadLetters() {
+      return call(() => adapter.deadLetters(name))
+    },
+
+    /**
+     Sends each dead-lettered event to the sink again, after the fault that rejected it is fixed, and deletes the dead
+     letters it accepts. Resolves to the number redriven; those it still rejects stay dead letters. Redriven events
+     arrive after the ones the relay delivered since, not in ledger order.
+     */
+    async redrive() {
+      let redriven = 0
+      for (const event of await call(() => adapter.deadLetteredEvents(name))) {
+        try {
+          await sink.send([event])
+        } catch {
+          continue
+        }
+        await call(() => adapter.deleteDeadLetter(name, event.eventId))
+        redriven++
+      }
+      return redriven
+    }
+  }
+}
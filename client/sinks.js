@@ -0,0 +1,38 @@
+import { once } from 'node:events'
+
+
+/**
+ A relay sink that POSTs each batch to url as a JSON array of events. A response outside 200-299, or none within
+ timeout milliseconds, fails the batch.
+ */
+export function webhookSink(url, { headers = {}, timeout = 10000 } = {}) {
+  return {
+    async send(events) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(events),
+        signal: AbortSignal.timeout(timeout)
+      })
+      if (!response.ok) {
+        throw new Error(`${url} responded ${response.status} ${response.statusText}`)
+      }
+    }
+  }
+}
+
+
+/**
+ A relay sink that writes each event to a writable stream as one line of JSON, waiting for the stream to drain.
+ */
+export function ndjsonSink(stream) {
+  return {
+    async send(events) {
+      for (const event of events) {
+        if (!stream.write(`${JSON.stringify(event)}\n`)) {
+          await once(stream, 'drain')
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,668 @@
+import sql from 'mssql'
+import { filterClause, parseData, toEvent, toPage, toStream, toClosedStream, toRelayState, toDeadLetter, toSnapshotReplay, toViolation, toLedgerEvent, toChainEvent } from './sql.js'
+
+
+// unique constraint and unique index violations
+const uniqueViolations = [2627, 2601]
+
+const uniqueConstraintCodes = {
+  ledger_append_key_key: 'ES004',
+  idx_previous_id_unique: 'ES007',
+  uq_first_event_per_stream: 'ES005',
+  uq_stream_position: 'ES007'
+}
+
+// the SQL Server DDL has no tags column, so it cannot enforce append conditions either
+const withoutTags = 'SQL Server ledgers do not support event tags or append conditions'
+
+
+/**
+ Adapter for an mssql ConnectionPool connected to a database loaded with sql-server-event-store.ddl. Reads and appends
+ are those of the connection's tenant, its N'tenant' session context.
+ */
+export function sqlServerAdapter(pool) {
+
+  async function replayQuery(request, from, filter) {
+    let p = 0
+    const conditions = filterClause(filter, (value) => {
+      const name = `p${p++}`
+      request.input(name, sql.NVarChar, value)
+      return `@${name}`
+    })
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    // inline table-valued functions cannot ORDER BY, so it is always added here
+    const { recordset } = await request.query(`
+SELECT entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       timestamp,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       stream_position
+FROM ${from} ${where}
+ORDER BY sequence`)
+    return recordset
+      .map(parseData)
+      .map(toEvent)
+  }
+
+  return {
+    async append({
+      entity,
+      entityKey,
+      event,
+      data,
+      version,
+      metadata,
+      correlationId,
+      causationId,
+      appendKey,
+      previousId,
+      expectedVersion,
+      terminal,
+      tags,
+      condition
+    }) {
+      if (condition || JSON.parse(tags).length) {
+        throw new Error(withoutTags)
+      }
+      const request = pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('event', sql.NVarChar, event)
+        .input('data', sql.NVarChar, data)
+        .input('append_key', sql.NVarChar, appendKey)
+        .input('schema_version', sql.Int, version)
+        .input('metadata', sql.NVarChar, metadata)
+        .input('correlation_id', sql.NVarChar, correlationId)
+        .input('causation_id', sql.UniqueIdentifier, causationId)
+        .input('terminal', sql.Bit, terminal)
+        .output('event_id', sql.UniqueIdentifier)
+      // append_event_at_version takes the expected version in place of previous_id
+      const { output } = expectedVersion === undefined
+        ? await request.input('previous_id', sql.UniqueIdentifier, previousId).execute('append_event')
+        : await request.input('expected_version', sql.Int, expectedVersion).execute('append_event_at_version')
+      return output.event_id.toLowerCase()
+    },
+
+    async appendEvents({ entity, entityKey, previousId, events }) {
+      if (JSON.parse(events).some(({ tags }) => tags?.length)) {
+        throw new Error(withoutTags)
+      }
+      const { recordset } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('previous_id', sql.UniqueIdentifier, previousId)
+        .input('events', sql.NVarChar, events)
+        .execute('append_events')
+      return recordset.map(({ event_id }) => event_id.toLowerCase())
+    },
+
+    async replay(filter) {
+      return replayQuery(pool.request(), 'tenant_replay_events', filter)
+    },
+
+    async replayAfter(afterEventId, filter) {
+      const { recordset: [after] } = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, afterEventId)
+        .query('SELECT sequence FROM ledger WHERE tenant = dbo.current_tenant() AND event_id = @event_id')
+      if (!after) {
+        throw new Error(`Event with ID ${afterEventId} does not exist`)
+      }
+      const request = pool.request()
+        .input('after_event_id', sql.UniqueIdentifier, afterEventId)
+      return replayQuery(request, 'tenant_replay_events_after(@after_event_id)', filter)
+    },
+
+    async replayUntil(untilSequence, filter) {
+      const request = pool.request()
+        .input('until_sequence', sql.BigInt, untilSequence)
+      return replayQuery(request, 'replay_events_until(@until_sequence)', filter)
+    },
+
+    async replayAsOf(asOf, filter) {
+      const request = pool.request()
+        .input('as_of', sql.DateTimeOffset, asOf)
+      return replayQuery(request, 'replay_events_as_of(@as_of)', filter)
+    },
+
+    async replayMatching() {
+      throw new Error(withoutTags)
+    },
+
+    async eventSequence(eventId) {
+      const { recordset: [row] } = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, eventId)
+        .query('SELECT sequence FROM ledger WHERE tenant = dbo.current_tenant() AND event_id = @event_id')
+      return row ? Number(row.sequence) : null
+    },
+
+    async highWaterMark() {
+      const { recordset: [row] } = await pool.request().query('SELECT dbo.high_water_mark() AS sequence')
+      return Number(row.sequence)
+    },
+
+    async replayPage(filter, afterSequence, pageSize) {
+      const request = pool.request()
+        .input('after_sequence', sql.BigInt, afterSequence)
+        .input('page_size', sql.Int, pageSize)
+      let p = 0
+      // pages end at the high-water mark, so a cursor never passes an event that is yet to commit
+      const conditions = ['sequence > @after_sequence', 'sequence <= @high_water_mark', ...filterClause(filter, (value) => {
+        const name = `p${p++}`
+        request.input(name, sql.NVarChar, value)
+        return `@${name}`
+      })]
+      const { recordset } = await request.query(`
+DECLARE @high_water_mark BIGINT = dbo.high_water_mark();
+
+SELECT TOP (@page_size) entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       timestamp,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       stream_position,
+       sequence
+FROM tenant_replay_events
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence`)
+      return toPage(recordset.map(parseData), afterSequence)
+    },
+
+    async causalChain(eventId) {
+      const { recordset } = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, eventId)
+        .query(`
+SELECT entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       timestamp,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       stream_position,
+       depth
+FROM causal_chain(@event_id)
+ORDER BY sequence
+OPTION (MAXRECURSION 0)`)
+      return recordset
+        .map(parseData)
+        .map(toChainEvent)
+    },
+
+    async head(entity, entityKey) {
+      const { recordset: [row] } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query(`
+SELECT CAST(head_event_id AS NVARCHAR(36)) AS head_event_id
+FROM streams
+WHERE tenant = dbo.current_tenant()
+  AND entity = @entity
+  AND entity_key = @entity_key`)
+      return row?.head_event_id.toLowerCase() ?? null
+    },
+
+    async stream(entity, entityKey) {
+      const { recordset: [row] } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query(`
+SELECT entity,
+       entity_key,
+       CAST(head_event_id AS NVARCHAR(36)) AS head_event_id,
+       event_count,
+       last_sequence,
+       closed
+FROM streams
+WHERE tenant = dbo.current_tenant()
+  AND entity = @entity
+  AND entity_key = @entity_key`)
+      return row ? toStream(row) : null
+    },
+
+    async closedStreams({ entity }) {
+      const { recordset } = await pool.request()
+        .input('entity', sql.NVarChar, entity ?? null)
+        .query(`
+SELECT entity,
+       entity_key,
+       event,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       timestamp,
+       sequence
+FROM closed_streams
+WHERE tenant = dbo.current_tenant()
+  AND (@entity IS NULL OR entity = @entity)
+ORDER BY sequence`)
+      return recordset.map(toClosedStream)
+    },
+
+    async headAsOf(entity, entityKey, asOf) {
+      const { recordset: [row] } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('as_of', sql.DateTimeOffset, asOf)
+        .query('SELECT CAST(event_id AS NVARCHAR(36)) AS event_id FROM head_as_of(@entity, @entity_key, @as_of)')
+      return row?.event_id.toLowerCase() ?? null
+    },
+
+    async saveSnapshot({ entity, entityKey, eventId, version, data }) {
+      await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('event_id', sql.UniqueIdentifier, eventId)
+        .input('schema_version', sql.Int, version)
+        .input('data', sql.NVarChar, data)
+        .query(`
+MERGE snapshots WITH (HOLDLOCK) AS s
+USING (SELECT @entity AS entity, @entity_key AS entity_key, @event_id AS event_id) AS n
+ON s.tenant = dbo.current_tenant() AND s.entity = n.entity AND s.entity_key = n.entity_key AND s.event_id = n.event_id
+WHEN MATCHED THEN
+    UPDATE SET schema_version = @schema_version, data = @data, timestamp = SYSDATETIMEOFFSET()
+WHEN NOT MATCHED THEN
+    INSERT (entity, entity_key, event_id, schema_version, data)
+    VALUES (@entity, @entity_key, @event_id, @schema_version, @data);`)
+    },
+
+    async deleteSnapshots(entity, entityKey) {
+      await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query('DELETE FROM snapshots WHERE tenant = dbo.current_tenant() AND entity = @entity AND entity_key = @entity_key')
+    },
+
+    async replayFromSnapshot(entity, entityKey) {
+      const { recordset } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query(`
+SELECT entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       timestamp,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       stream_position,
+       snapshot_version
+FROM replay_events_from_snapshot(@entity, @entity_key)
+ORDER BY sequence`)
+      return toSnapshotReplay(recordset.map(parseData))
+    },
+
+    async registerEventType({ entity, event, version, schema }) {
+      await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('event', sql.NVarChar, event)
+        .input('schema_version', sql.Int, version)
+        .input('schema', sql.NVarChar, schema)
+        .query('INSERT INTO event_types (entity, event, schema_version, [schema]) VALUES (@entity, @event, @schema_version, @schema)')
+    },
+
+    async registerTerminalEvent({ entity, event }) {
+      await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('event', sql.NVarChar, event)
+        .query(`
+IF NOT EXISTS (SELECT 1 FROM terminal_events WITH (UPDLOCK, HOLDLOCK) WHERE entity = @entity AND event = @event)
+    INSERT INTO terminal_events (entity, event) VALUES (@entity, @event);`)
+    },
+
+    async eventSchema(entity, event, version = null) {
+      const { recordset: [row] } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('event', sql.NVarChar, event)
+        .input('version', sql.Int, version)
+        .query(`
+SELECT TOP 1 schema_version, CAST([schema] AS NVARCHAR(MAX)) AS [schema]
+FROM event_types
+WHERE entity = @entity
+  AND event = @event
+  AND schema_version = COALESCE(@version, schema_version)
+ORDER BY schema_version DESC`)
+      return row ? { version: row.schema_version, schema: JSON.parse(row.schema) } : null
+    },
+
+    async createEncryptionKey(entity, entityKey, key) {
+      const { recordset: [row] } = await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('key', sql.VarBinary, key)
+        .query(`
+IF NOT EXISTS (SELECT 1
+               FROM encryption_keys WITH (UPDLOCK, HOLDLOCK)
+               WHERE tenant = dbo.current_tenant()
+                 AND entity = @entity
+                 AND entity_key = @entity_key)
+    INSERT INTO encryption_keys (entity, entity_key, [key]) VALUES (@entity, @entity_key, @key);
+
+SELECT [key] FROM encryption_keys WHERE tenant = dbo.current_tenant() AND entity = @entity AND entity_key = @entity_key;`)
+      return row.key
+    },
+
+    async appendedData(appendKey) {
+      const { recordset: [row] } = await pool.request()
+        .input('append_key', sql.NVarChar, appendKey)
+        .query('SELECT data FROM ledger WHERE tenant = dbo.current_tenant() AND append_key = @append_key')
+      return row ? JSON.parse(row.data) : null
+    },
+
+    // tx is the subscription transaction when decrypting a subscription's batch
+    async encryptionKey(entity, entityKey, tx = pool) {
+      const { recordset: [row] } = await new sql.Request(tx)
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query(`
+SELECT [key] FROM encryption_keys WHERE tenant = dbo.current_tenant() AND entity = @entity AND entity_key = @entity_key`)
+      return row?.key ?? null
+    },
+
+    async shredEncryptionKey(entity, entityKey) {
+      await pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query(`
+DELETE FROM encryption_keys WHERE tenant = dbo.current_tenant() AND entity = @entity AND entity_key = @entity_key`)
+    },
+
+    async handleSubscriptionBatch(name, filter, batchSize, handler) {
+      const transaction = new sql.Transaction(pool)
+      await transaction.begin()
+      try {
+        // UPDLOCK keeps two runners of the same subscription from handling a batch twice
+        const { recordset: [{ after_sequence }] } = await new sql.Request(transaction)
+          .input('name', sql.NVarChar, name)
+          .query(`
+IF NOT EXISTS (SELECT 1 FROM subscriptions WITH (UPDLOCK, HOLDLOCK) WHERE tenant = dbo.current_tenant() AND name = @name)
+    INSERT INTO subscriptions (name) VALUES (@name);
+
+SELECT COALESCE(l.sequence, 0) AS after_sequence
+FROM subscriptions s WITH (UPDLOCK)
+LEFT JOIN ledger l ON l.event_id = s.last_event_id
+WHERE s.tenant = dbo.current_tenant()
+  AND s.name = @name;`)
+        const request = new sql.Request(transaction)
+          .input('after_sequence', sql.BigInt, after_sequence)
+          .input('batch_size', sql.Int, batchSize)
+        let p = 0
+        const conditions = ['tenant = dbo.current_tenant()', 'sequence > @after_sequence', 'sequence <= @high_water_mark',
+          ...filterClause(filter, (value) => {
+            const input = `p${p++}`
+            request.input(input, sql.NVarChar, value)
+            return `@${input}`
+          })]
+        const { recordset } = await request.query(`
+DECLARE @high_water_mark BIGINT = dbo.high_water_mark();
+
+SELECT TOP (@batch_size) entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       timestamp,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       stream_position
+FROM ledger
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence`)
+        const events = recordset
+          .map(parseData)
+          .map(toEvent)
+        if (events.length) {
+          await handler(events, transaction)
+          await new sql.Request(transaction)
+            .input('name', sql.NVarChar, name)
+            .input('last_event_id', sql.UniqueIdentifier, events.at(-1).eventId)
+            .query(`
+UPDATE subscriptions
+SET last_event_id = @last_event_id,
+    updated_at    = SYSDATETIMEOFFSET()
+WHERE tenant = dbo.current_tenant()
+  AND name = @name`)
+        }
+        await transaction.commit()
+        return events.length
+      } catch (err) {
+        await transaction.rollback()
+        throw err
+      }
+    },
+
+    async subscriptionPosition(name) {
+      const { recordset: [row] } = await pool.request()
+        .input('name', sql.NVarChar, name)
+        .query(`
+SELECT CAST(last_event_id AS NVARCHAR(36)) AS last_event_id
+FROM subscriptions
+WHERE tenant = dbo.current_tenant()
+  AND name = @name`)
+      return row?.last_event_id?.toLowerCase() ?? null
+    },
+
+    async rewindSubscription(name) {
+      await pool.request()
+        .input('name', sql.NVarChar, name)
+        .query(`
+MERGE subscriptions WITH (HOLDLOCK) AS s
+USING (SELECT @name AS name) AS n
+ON s.tenant = dbo.current_tenant() AND s.name = n.name
+WHEN MATCHED THEN
+    UPDATE SET last_event_id = NULL, updated_at = SYSDATETIMEOFFSET()
+WHEN NOT MATCHED THEN
+    INSERT (name) VALUES (@name);`)
+    },
+
+    async relayState(name) {
+      const { recordset: [row] } = await pool.request()
+        .input('name', sql.NVarChar, name)
+        .query(`
+IF NOT EXISTS (SELECT 1 FROM relays WITH (UPDLOCK, HOLDLOCK) WHERE tenant = dbo.current_tenant() AND name = @name)
+    INSERT INTO relays (name) VALUES (@name);
+
+SELECT last_sequence, attempts, last_error FROM relays WHERE tenant = dbo.current_tenant() AND name = @name;`)
+      return toRelayState(row)
+    },
+
+    async recordRelayDelivery(name, lastSequence) {
+      await pool.request()
+        .input('name', sql.NVarChar, name)
+        .input('last_sequence', sql.BigInt, lastSequence)
+        .query(`
+UPDATE relays
+SET last_sequence = @last_sequence,
+    attempts      = 0,
+    last_error    = NULL,
+    updated_at    = SYSDATETIMEOFFSET()
+WHERE tenant = dbo.current_tenant()
+  AND name = @name`)
+    },
+
+    async recordRelayFailure(name, error) {
+      const { recordset: [{ attempts }] } = await pool.request()
+        .input('name', sql.NVarChar, name)
+        .input('error', sql.NVarChar, error)
+        .query(`
+UPDATE relays
+SET attempts   = attempts + 1,
+    last_error = @error,
+    updated_at = SYSDATETIMEOFFSET()
+OUTPUT inserted.attempts
+WHERE tenant = dbo.current_tenant()
+  AND name = @name`)
+      return attempts
+    },
+
+    async deadLetter(name, eventId, error) {
+      await pool.request()
+        .input('name', sql.NVarChar, name)
+        .input('event_id', sql.UniqueIdentifier, eventId)
+        .input('error', sql.NVarChar, error)
+        .query(`
+IF NOT EXISTS (SELECT 1 FROM dead_letters WHERE tenant = dbo.current_tenant() AND relay = @name AND event_id = @event_id)
+    INSERT INTO dead_letters (relay, event_id, error) VALUES (@name, @event_id, @error);`)
+    },
+
+    async deadLetters(name) {
+      const { recordset } = await pool.request()
+        .input('name', sql.NVarChar, name)
+        .query(`
+SELECT CAST(d.event_id AS NVARCHAR(36)) AS event_id, d.error, d.failed_at
+FROM dead_letters d
+JOIN ledger l ON l.event_id = d.event_id
+WHERE d.tenant = dbo.current_tenant()
+  AND d.relay = @name
+ORDER BY l.sequence`)
+      return recordset.map(toDeadLetter)
+    },
+
+    async deadLetteredEvents(name) {
+      const request = pool.request()
+        .input('name', sql.NVarChar, name)
+      return replayQuery(request, `(SELECT *
+ FROM tenant_replay_events
+ WHERE event_id IN (SELECT event_id FROM dead_letters WHERE tenant = dbo.current_tenant() AND relay = @name)) e`, {})
+    },
+
+    async deleteDeadLetter(name, eventId) {
+      await pool.request()
+        .input('name', sql.NVarChar, name)
+        .input('event_id', sql.UniqueIdentifier, eventId)
+        .query('DELETE FROM dead_letters WHERE tenant = dbo.current_tenant() AND relay = @name AND event_id = @event_id')
+    },
+
+    async sealLedger() {
+      const { recordset: [row] } = await pool.request().query(`
+DECLARE @sealed BIGINT;
+EXEC seal_ledger @sealed OUTPUT;
+SELECT @sealed AS sealed;`)
+      return Number(row.sealed)
+    },
+
+    async verifyLedger() {
+      const { recordset: [row] } = await pool.request().query(`
+SELECT sequence, CAST(event_id AS NVARCHAR(36)) AS event_id, hash, expected_hash
+FROM verify_ledger()`)
+      return row
+        ? { sequence: Number(row.sequence), eventId: row.event_id.toLowerCase(), hash: row.hash, expectedHash: row.expected_hash }
+        : null
+    },
+
+    async checkIntegrity() {
+      const { recordset } = await pool.request().query(`
+SELECT violation,
+       entity,
+       entity_key,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       CAST(previous_id AS NVARCHAR(36)) AS previous_id,
+       sequence
+FROM check_ledger_integrity()
+ORDER BY sequence, violation`)
+      return recordset.map(toViolation)
+    },
+
+    async exportEvents(afterSequence, limit) {
+      const { recordset } = await pool.request()
+        .input('after_sequence', sql.BigInt, afterSequence)
+        .input('limit', sql.Int, limit)
+        .query(`
+SELECT TOP (@limit) entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       CAST(causation_id AS NVARCHAR(36)) AS causation_id,
+       append_key,
+       CAST(previous_id AS NVARCHAR(36)) AS previous_id,
+       CAST(event_id AS NVARCHAR(36)) AS event_id,
+       timestamp,
+       terminal,
+       sequence
+FROM ledger
+WHERE tenant = dbo.current_tenant()
+  AND sequence > @after_sequence
+ORDER BY sequence`)
+      return recordset
+        .map(parseData)
+        .map(toLedgerEvent)
+    },
+
+    async importEvents(events) {
+      if (events.some(({ tags }) => tags.length)) {
+        throw new Error(withoutTags)
+      }
+      const transaction = new sql.Transaction(pool)
+      const restoreMode = (value) => new sql.Request(transaction)
+        .input('value', sql.Bit, value)
+        .query(`EXEC sys.sp_set_session_context @key = N'restore_ledger', @value = @value`)
+      await transaction.begin()
+      try {
+        // restore_event only runs while the connection has opted in
+        await restoreMode(1)
+        try {
+          for (const { entity, entityKey, event, data, version, metadata, correlationId, causationId, appendKey, previousId,
+            eventId, timestamp, terminal } of events) {
+            await new sql.Request(transaction)
+              .input('entity', sql.NVarChar, entity)
+              .input('entity_key', sql.NVarChar, entityKey)
+              .input('event', sql.NVarChar, event)
+              .input('data', sql.NVarChar, data)
+              .input('schema_version', sql.Int, version)
+              .input('metadata', sql.NVarChar, metadata)
+              .input('correlation_id', sql.NVarChar, correlationId)
+              .input('causation_id', sql.UniqueIdentifier, causationId)
+              .input('append_key', sql.NVarChar, appendKey)
+              .input('previous_id', sql.UniqueIdentifier, previousId)
+              .input('event_id', sql.UniqueIdentifier, eventId)
+              .input('timestamp', sql.DateTimeOffset, timestamp)
+              .input('terminal', sql.Bit, terminal)
+              .execute('restore_event')
+          }
+        } finally {
+          // the pooled connection must not stay in restore mode. A failed restore_event has already left it and rolled
+          // back, which hands the connection back to the pool.
+          if (!transaction._aborted) {
+            await restoreMode(null)
+          }
+        }
+        await transaction.commit()
+      } catch (err) {
+        if (!transaction._aborted) {
+          await transaction.rollback()
+        }
+        throw err
+      }
+    },
+
+    errorCode(err) {
+      const number = err.number ?? err.originalError?.info?.number
+      if (number > 50000 && number < 51000) {
+        return `ES${String(number - 50000).padStart(3, '0')}`
+      }
+      if (uniqueViolations.includes(number)) {
+        const name = Object.keys(uniqueConstraintCodes).find(name => err.message.includes(`'${name}'`))
+        return uniqueConstraintCodes[name]
+      }
+    }
+  }
+}
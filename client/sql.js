@@ -0,0 +1,181 @@
+/**
+ Builds the WHERE clause shared by every adapter's replay queries. `param` receives each value and returns the
+ placeholder text for the adapter's dialect.
+ */
+export function filterClause({ entity, entityKey, events } = {}, param) {
+  const conditions = []
+  if (entity !== undefined) {
+    conditions.push(`entity = ${param(entity)}`)
+  }
+  if (entityKey !== undefined) {
+    conditions.push(`entity_key = ${param(entityKey)}`)
+  }
+  if (events?.length) {
+    conditions.push(`event IN (${events.map(param).join(', ')})`)
+  }
+  return conditions
+}
+
+
+/**
+ Drivers that return data and metadata as JSON text parse them before calling toEvent.
+ */
+export function parseData(row) {
+  return { ...row, data: JSON.parse(row.data), metadata: row.metadata == null ? null : JSON.parse(row.metadata) }
+}
+
+
+export function toEvent(row) {
+  return {
+    entity: row.entity,
+    entityKey: row.entity_key,
+    event: row.event,
+    data: row.data,
+    version: row.schema_version,
+    metadata: row.metadata ?? null,
+    correlationId: row.correlation_id ?? null,
+    causationId: row.causation_id?.toLowerCase() ?? null,
+    timestamp: row.timestamp instanceof Date ? row.timestamp : new Date(row.timestamp),
+    eventId: row.event_id.toLowerCase(),
+    streamPosition: row.stream_position
+  }
+}
+
+
+/**
+ Maps a page of replay_events rows to its events and the cursor for the next page: the sequence of its last event, or
+ afterSequence again for an empty page.
+ */
+export function toPage(rows, afterSequence) {
+  return {
+    events: rows.map(toEvent),
+    nextCursor: rows.length ? Number(rows.at(-1).sequence) : afterSequence
+  }
+}
+
+
+/**
+ Maps the replay_events rows matching an append condition's query to its events and the position to append after:
+ the sequence of the newest event, or 0 when none match.
+ */
+export function toMatches(rows) {
+  return {
+    events: rows.map(toEvent),
+    position: rows.length ? Number(rows.at(-1).sequence) : 0
+  }
+}
+
+
+/**
+ Maps a streams row: the head of an entity instance.
+ */
+export function toStream(row) {
+  return {
+    entity: row.entity,
+    entityKey: row.entity_key,
+    headEventId: row.head_event_id.toLowerCase(),
+    eventCount: row.event_count,
+    lastSequence: Number(row.last_sequence),
+    closed: Boolean(row.closed)
+  }
+}
+
+
+/**
+ Maps a closed_streams row: an entity instance and the terminal event that closed it.
+ */
+export function toClosedStream(row) {
+  return {
+    entity: row.entity,
+    entityKey: row.entity_key,
+    event: row.event,
+    eventId: row.event_id.toLowerCase(),
+    timestamp: row.timestamp instanceof Date ? row.timestamp : new Date(row.timestamp),
+    sequence: Number(row.sequence)
+  }
+}
+
+
+/**
+ Maps a relays row: how far the relay has delivered and its failed sends in a row.
+ */
+export function toRelayState(row) {
+  return {
+    lastSequence: Number(row.last_sequence),
+    attempts: row.attempts,
+    lastError: row.last_error ?? null
+  }
+}
+
+
+/**
+ Maps a dead_letters row: an event the relay gave up on and the sink's error.
+ */
+export function toDeadLetter(row) {
+  return {
+    eventId: row.event_id.toLowerCase(),
+    error: row.error,
+    failedAt: row.failed_at instanceof Date ? row.failed_at : new Date(row.failed_at)
+  }
+}
+
+
+/**
+ Maps a causal_chain row: an event and its distance from the event the chain was queried for.
+ */
+export function toChainEvent(row) {
+  return { ...toEvent(row), depth: row.depth }
+}
+
+
+/**
+ Splits replay_events_from_snapshot rows into the snapshot, when there is one, and the events after it.
+ */
+export function toSnapshotReplay(rows) {
+  const [first] = rows
+  if (first?.snapshot_version == null) {
+    return { snapshot: null, events: rows.map(toEvent) }
+  }
+  return {
+    snapshot: {
+      entity: first.entity,
+      entityKey: first.entity_key,
+      eventId: first.event_id.toLowerCase(),
+      version: first.snapshot_version,
+      data: first.data,
+      timestamp: first.timestamp instanceof Date ? first.timestamp : new Date(first.timestamp)
+    },
+    events: rows.slice(1).map(toEvent)
+  }
+}
+
+
+/**
+ Maps a check_ledger_integrity row. event_id is null for streams without a first event.
+ */
+export function toViolation(row) {
+  return {
+    violation: row.violation,
+    entity: row.entity,
+    entityKey: row.entity_key,
+    eventId: row.event_id?.toLowerCase() ?? null,
+    previousId: row.previous_id?.toLowerCase() ?? null,
+    sequence: Number(row.sequence)
+  }
+}
+
+
+/**
+ Maps a ledger row with every column an export needs to restore it, plus the sequence to page the export by.
+ */
+export function toLedgerEvent(row) {
+  return {
+    ...toEvent(row),
+    appendKey: row.append_key,
+    previousId: row.previous_id?.toLowerCase() ?? null,
+    terminal: Boolean(row.terminal),
+    // JSON text in SQLite, an array in Postgres; SQL Server ledgers have no tags
+    tags: typeof row.tags === 'string' ? JSON.parse(row.tags) : row.tags ?? [],
+    sequence: Number(row.sequence)
+  }
+}
@@ -0,0 +1,454 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { filterClause, parseData, toEvent, toPage, toStream, toClosedStream, toMatches, toRelayState, toDeadLetter, toSnapshotReplay, toViolation, toLedgerEvent, toChainEvent } from './sql.js'
+import { sha256, verifySqliteLedger } from './ledger-hash.js'
+import { sqliteConnection } from './sqlite-connection.js'
+
+
+const uniqueConstraintCodes = {
+  'ledger.append_key': 'ES004',
+  'ledger.previous_id': 'ES007',
+  'ledger.entity, ledger.entity_key, ledger.stream_position': 'ES007'
+}
+
+
+/**
+ Registers the application-defined functions that sqlite-event-store.ddl calls. sqliteAdapter() registers them on its
+ database; call this for other connections that append events.
+ */
+export function registerSqliteFunctions(db) {
+  sqliteConnection(db).createFunction('sha256', sha256)
+}
+
+
+/**
+ Adapter for a sql.js Database or a node:sqlite DatabaseSync loaded with sqlite-event-store.ddl. A DatabaseSync file is
+ switched to WAL journaling, so reads do not wait for another process's append, and writes wait up to busyTimeout
+ milliseconds for another process's write to commit before failing with SQLITE_BUSY.
+ */
+export function sqliteAdapter(db, { busyTimeout = 5000 } = {}) {
+  const connection = sqliteConnection(db)
+  registerSqliteFunctions(db)
+  if (connection.fileBacked) {
+    connection.exec(`PRAGMA busy_timeout = ${Number(busyTimeout)}; PRAGMA journal_mode = WAL`)
+  }
+  const operations = new AsyncLocalStorage()
+  let running = null
+  let queue = Promise.resolve()
+  let inTransaction = false
+
+  function all(sql, params) {
+    return [...connection.iterate(sql, params)]
+  }
+
+  // The adapter's calls share one connection, so they run one at a time: a call made while another's transaction is
+  // open would run inside it and roll back with it. Calls made by the running one, like a subscription handler's
+  // appends, run at once, in its transaction.
+  function exclusive(operation) {
+    if (running && operations.getStore() === running) {
+      return operation()
+    }
+    const result = queue.then(() => {
+      running = {}
+      return operations.run(running, operation).finally(() => {
+        running = null
+      })
+    })
+    queue = result.catch(() => {})
+    return result
+  }
+
+  // BEGIN IMMEDIATE takes the write lock as the transaction begins, so a writer waits out another process's write for
+  // the busy timeout, where a transaction that read first fails at its first write.
+  async function transaction(operation) {
+    if (inTransaction) {
+      return operation()
+    }
+    connection.exec('BEGIN IMMEDIATE')
+    inTransaction = true
+    try {
+      const result = await operation()
+      connection.exec('COMMIT')
+      return result
+    } catch (err) {
+      connection.exec('ROLLBACK')
+      throw err
+    } finally {
+      inTransaction = false
+    }
+  }
+
+  function replayQuery(filter, conditions, params) {
+    conditions.push(...filterClause(filter, (value) => {
+      params.push(value)
+      return '?'
+    }))
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    return all(`SELECT * FROM replay_events ${where} ORDER BY sequence`, params)
+      .map(parseData)
+      .map(toEvent)
+  }
+
+  const methods = {
+    async append({
+      entity,
+      entityKey,
+      event,
+      data,
+      version,
+      metadata,
+      correlationId,
+      causationId,
+      appendKey,
+      previousId,
+      expectedVersion,
+      terminal,
+      tags,
+      condition
+    }) {
+      // append_event_at_version takes the expected version in place of previous_id, and append_event_with_condition
+      // takes the condition after the other columns
+      const [view, column, position] = expectedVersion === undefined
+        ? [condition ? 'append_event_with_condition' : 'append_event', 'previous_id', previousId]
+        : ['append_event_at_version', 'expected_version', expectedVersion]
+      const [conditionColumns, conditionValues, conditionParams] = condition
+        ? [', fail_if_events_match, after_sequence', ', $13, $14', [condition.failIfEventsMatch, condition.after]]
+        : ['', '', []]
+      // sqlite cannot access the generated event_id during INSERT, so select it back by append_key.
+      const [{ event_id }] = await transaction(async () => all(`
+INSERT INTO ${view} (entity, entity_key, event, data, schema_version, metadata, correlation_id, causation_id,
+                     append_key, ${column}, terminal, tags${conditionColumns})
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12${conditionValues})
+    RETURNING (SELECT event_id FROM ledger WHERE append_key = $9) AS event_id`,
+        [entity, entityKey, event, data, version, metadata, correlationId, causationId, appendKey, position,
+          Number(terminal), tags, ...conditionParams]))
+      return event_id
+    },
+
+    async appendEvents({ entity, entityKey, previousId, events }) {
+      const [{ event_ids }] = await transaction(async () => all(`
+INSERT INTO append_events (entity, entity_key, previous_id, events)
+    VALUES ($1, $2, $3, $4)
+    RETURNING (SELECT json_group_array(event_id)
+               FROM (SELECT event_id
+                     FROM ledger
+                     WHERE append_key IN (SELECT value ->> 'append_key' FROM json_each($4))
+                     ORDER BY sequence)) AS event_ids`,
+        [entity, entityKey, previousId, events]))
+      return JSON.parse(event_ids)
+    },
+
+    async replay(filter) {
+      return replayQuery(filter, [], [])
+    },
+
+    async replayAfter(afterEventId, filter) {
+      const [after] = all('SELECT sequence FROM ledger WHERE event_id = ?', [afterEventId])
+      if (!after) {
+        throw new Error(`Event with ID ${afterEventId} does not exist`)
+      }
+      return replayQuery(filter, ['sequence > ?'], [after.sequence])
+    },
+
+    async replayMatching(query) {
+      const rows = all(`
+SELECT *
+FROM replay_events e
+WHERE EXISTS (SELECT true
+              FROM json_each($1) item
+              WHERE NOT EXISTS (SELECT true
+                                FROM json_each(item.value -> 'tags') tag
+                                WHERE tag.value NOT IN (SELECT value FROM json_each(e.tags)))
+                AND (coalesce(json_array_length(item.value -> 'events'), 0) = 0
+                     OR e.event IN (SELECT value FROM json_each(item.value -> 'events'))))
+ORDER BY sequence`, [query]).map(parseData)
+      return toMatches(rows)
+    },
+
+    async eventSequence(eventId) {
+      const [row] = all('SELECT sequence FROM ledger WHERE event_id = ?', [eventId])
+      return row?.sequence ?? null
+    },
+
+    // appends commit one at a time, so every event up to the newest has committed
+    async highWaterMark() {
+      const [row] = all('SELECT coalesce(max(sequence), 0) AS sequence FROM ledger')
+      return row.sequence
+    },
+
+    async replayPage(filter, afterSequence, pageSize) {
+      const params = [afterSequence]
+      const conditions = ['sequence > ?', ...filterClause(filter, (value) => {
+        params.push(value)
+        return '?'
+      })]
+      params.push(pageSize)
+      return toPage(all(`
+SELECT *
+FROM replay_events
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence
+LIMIT ?`, params).map(parseData), afterSequence)
+    },
+
+    async replayUntil(untilSequence, filter) {
+      return replayQuery(filter, ['sequence <= ?'], [untilSequence])
+    },
+
+    async replayAsOf(asOf, filter) {
+      // replay_events formats timestamps like toISOString(), so they compare as text
+      return replayQuery(filter, ['timestamp <= ?'], [asOf.toISOString()])
+    },
+
+    async causalChain(eventId) {
+      return all('SELECT * FROM causal_chain WHERE origin_id = ?', [eventId])
+        .map(parseData)
+        .map(toChainEvent)
+    },
+
+    async head(entity, entityKey) {
+      const [row] = all('SELECT head_event_id FROM streams WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+      return row?.head_event_id ?? null
+    },
+
+    async stream(entity, entityKey) {
+      const [row] = all('SELECT * FROM streams WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+      return row ? toStream(row) : null
+    },
+
+    async closedStreams({ entity }) {
+      return all('SELECT * FROM closed_streams WHERE $1 IS NULL OR entity = $1 ORDER BY sequence', [entity ?? null])
+        .map(toClosedStream)
+    },
+
+    async headAsOf(entity, entityKey, asOf) {
+      const [row] = all(`
+SELECT event_id
+FROM ledger
+WHERE entity = ?
+  AND entity_key = ?
+  AND timestamp <= ?
+ORDER BY sequence DESC
+LIMIT 1`, [entity, entityKey, asOf.getTime()])
+      return row?.event_id ?? null
+    },
+
+    async saveSnapshot({ entity, entityKey, eventId, version, data }) {
+      all(`
+INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (entity, entity_key, event_id) DO UPDATE
+        SET schema_version = excluded.schema_version,
+            data = excluded.data,
+            timestamp = excluded.timestamp`,
+        [entity, entityKey, eventId, version, data])
+    },
+
+    async deleteSnapshots(entity, entityKey) {
+      all('DELETE FROM snapshots WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+    },
+
+    async replayFromSnapshot(entity, entityKey) {
+      return toSnapshotReplay(all('SELECT * FROM replay_events_from_snapshot WHERE entity = ? AND entity_key = ?',
+        [entity, entityKey]).map(parseData))
+    },
+
+    async registerEventType({ entity, event, version, schema }) {
+      all('INSERT INTO event_types (entity, event, schema_version, schema) VALUES (?, ?, ?, ?)',
+        [entity, event, version, schema])
+    },
+
+    async eventSchema(entity, event, version = null) {
+      const [row] = all(`
+SELECT schema_version, schema
+FROM event_types
+WHERE entity = ?
+  AND event = ?
+  AND schema_version = coalesce(?, schema_version)
+ORDER BY schema_version DESC
+LIMIT 1`, [entity, event, version])
+      return row ? { version: row.schema_version, schema: JSON.parse(row.schema) } : null
+    },
+
+    async registerTerminalEvent({ entity, event }) {
+      all('INSERT INTO terminal_events (entity, event) VALUES (?, ?) ON CONFLICT DO NOTHING', [entity, event])
+    },
+
+    async createEncryptionKey(entity, entityKey, key) {
+      all('INSERT INTO encryption_keys (entity, entity_key, key) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+        [entity, entityKey, key])
+      const [row] = all('SELECT key FROM encryption_keys WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+      return row.key
+    },
+
+    async appendedData(appendKey) {
+      const [row] = all('SELECT data FROM ledger WHERE append_key = ?', [appendKey])
+      return row ? JSON.parse(row.data) : null
+    },
+
+    async encryptionKey(entity, entityKey) {
+      const [row] = all('SELECT key FROM encryption_keys WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+      return row?.key ?? null
+    },
+
+    async shredEncryptionKey(entity, entityKey) {
+      all('DELETE FROM encryption_keys WHERE entity = ? AND entity_key = ?', [entity, entityKey])
+    },
+
+    async handleSubscriptionBatch(name, filter, batchSize, handler) {
+      // the handler's writes on db join this transaction, as the connection is the adapter's
+      return transaction(async () => {
+        all('INSERT INTO subscriptions (name) VALUES (?) ON CONFLICT (name) DO NOTHING', [name])
+        const params = [name]
+        const conditions = [`sequence > coalesce((SELECT l.sequence
+                                               FROM subscriptions s
+                                                        JOIN ledger l ON l.event_id = s.last_event_id
+                                               WHERE s.name = ?), 0)`]
+        conditions.push(...filterClause(filter, (value) => {
+          params.push(value)
+          return '?'
+        }))
+        params.push(batchSize)
+        const events = all(`
+SELECT entity, entity_key, event, data, schema_version, metadata, correlation_id, causation_id, timestamp, event_id,
+       stream_position
+FROM ledger
+WHERE ${conditions.join(' AND ')}
+ORDER BY sequence
+LIMIT ?`, params)
+          .map(parseData)
+          .map(toEvent)
+        if (events.length) {
+          await handler(events, db)
+          all(`
+UPDATE subscriptions
+SET last_event_id = ?,
+    updated_at    = CAST((UNIXEPOCH('subsec') * 1000) AS INTEGER)
+WHERE name = ?`, [events.at(-1).eventId, name])
+        }
+        return events.length
+      })
+    },
+
+    async subscriptionPosition(name) {
+      const [row] = all('SELECT last_event_id FROM subscriptions WHERE name = ?', [name])
+      return row?.last_event_id ?? null
+    },
+
+    async rewindSubscription(name) {
+      all(`
+INSERT INTO subscriptions (name) VALUES (?)
+    ON CONFLICT (name) DO UPDATE
+        SET last_event_id = NULL,
+            updated_at    = excluded.updated_at`, [name])
+    },
+
+    async relayState(name) {
+      all('INSERT INTO relays (name) VALUES (?) ON CONFLICT (name) DO NOTHING', [name])
+      const [row] = all('SELECT * FROM relays WHERE name = ?', [name])
+      return toRelayState(row)
+    },
+
+    async recordRelayDelivery(name, lastSequence) {
+      all(`
+UPDATE relays
+SET last_sequence = ?,
+    attempts      = 0,
+    last_error    = NULL,
+    updated_at    = CAST((UNIXEPOCH('subsec') * 1000) AS INTEGER)
+WHERE name = ?`, [lastSequence, name])
+    },
+
+    async recordRelayFailure(name, error) {
+      const [{ attempts }] = all(`
+UPDATE relays
+SET attempts   = attempts + 1,
+    last_error = ?,
+    updated_at = CAST((UNIXEPOCH('subsec') * 1000) AS INTEGER)
+WHERE name = ?
+RETURNING attempts`, [error, name])
+      return attempts
+    },
+
+    async deadLetter(name, eventId, error) {
+      all('INSERT INTO dead_letters (relay, event_id, error) VALUES (?, ?, ?) ON CONFLICT DO NOTHING', [name, eventId, error])
+    },
+
+    async deadLetters(name) {
+      return all(`
+SELECT d.event_id, d.error, d.failed_at
+FROM dead_letters d
+         JOIN ledger l ON l.event_id = d.event_id
+WHERE d.relay = ?
+ORDER BY l.sequence`, [name]).map(toDeadLetter)
+    },
+
+    async deadLetteredEvents(name) {
+      return replayQuery({}, ['event_id IN (SELECT event_id FROM dead_letters WHERE relay = ?)'], [name])
+    },
+
+    async deleteDeadLetter(name, eventId) {
+      all('DELETE FROM dead_letters WHERE relay = ? AND event_id = ?', [name, eventId])
+    },
+
+    // SQLite chains each event to the one before as it appends, as its appends run one at a time anyway
+    async sealLedger() {
+      return 0
+    },
+
+    async verifyLedger() {
+      return verifySqliteLedger(db)
+    },
+
+    async checkIntegrity() {
+      return all('SELECT * FROM check_ledger_integrity', []).map(toViolation)
+    },
+
+    async exportEvents(afterSequence, limit) {
+      return all(`
+SELECT entity,
+       entity_key,
+       event,
+       data,
+       schema_version,
+       metadata,
+       correlation_id,
+       causation_id,
+       append_key,
+       previous_id,
+       event_id,
+       timestamp,
+       terminal,
+       tags,
+       sequence
+FROM ledger
+WHERE sequence > ?
+ORDER BY sequence
+LIMIT ?`, [afterSequence, limit])
+        .map(parseData)
+        .map(toLedgerEvent)
+    },
+
+    async importEvents(events) {
+      // only the append views generate event_ids, the ledger keeps the ones inserted into it
+      return transaction(async () => {
+        for (const { entity, entityKey, event, data, version, metadata, correlationId, causationId, appendKey, previousId,
+          eventId, timestamp, terminal, tags } of events) {
+          all(`
+INSERT INTO ledger (entity, entity_key, event, data, schema_version, metadata, correlation_id, causation_id,
+                    append_key, previous_id, event_id, timestamp, terminal, tags)
+VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [entity, entityKey, event, data, version, metadata, correlationId,
+            causationId, appendKey, previousId, eventId, timestamp.getTime(), Number(terminal), JSON.stringify(tags)])
+        }
+      })
+    },
+
+    errorCode(err) {
+      const [, code] = /^(ES\d{3}): /.exec(err.message) ?? []
+      const [, columns] = /^UNIQUE constraint failed: (.+)/.exec(err.message) ?? []
+      return code ?? uniqueConstraintCodes[columns]
+    }
+  }
+
+  return Object.fromEntries(Object.entries(methods).map(([name, method]) =>
+    [name, name === 'errorCode' ? method : (...args) => exclusive(() => method(...args))]))
+}
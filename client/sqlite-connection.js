@@ -0,0 +1,58 @@
+/**
+ The calls the SQLite adapter makes on a database, over either driver: a sql.js Database, which works on a copy of the
+ database in memory, or a node:sqlite DatabaseSync (Node 22.13 or later) on a file, which several processes can open
+ and append to at once.
+ */
+export function sqliteConnection(db) {
+  return 'create_function' in db ? sqlJsConnection(db) : nodeSqliteConnection(db)
+}
+
+
+function sqlJsConnection(db) {
+  return {
+    fileBacked: false,
+
+    * iterate(sql, params = []) {
+      const stmt = db.prepare(sql)
+      try {
+        stmt.bind(params)
+        while (stmt.step()) {
+          yield stmt.getAsObject()
+        }
+      } finally {
+        stmt.free()
+      }
+    },
+
+    exec(sql) {
+      db.run(sql)
+    },
+
+    createFunction(name, fn) {
+      db.create_function(name, fn)
+    }
+  }
+}
+
+
+function nodeSqliteConnection(db) {
+  return {
+    fileBacked: true,
+
+    iterate(sql, params = []) {
+      // SQLite names $1 parameters, and node:sqlite only binds named parameters by name
+      const bound = /\$\d/.test(sql)
+        ? [Object.fromEntries(params.map((value, i) => [`$${i + 1}`, value ?? null]))]
+        : params.map((value) => value ?? null)
+      return db.prepare(sql).iterate(...bound)
+    },
+
+    exec(sql) {
+      db.exec(sql)
+    },
+
+    createFunction(name, fn) {
+      db.function(name, { deterministic: true }, fn)
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { setTimeout } from 'node:timers/promises'
+
+
+/**
+ A named, checkpointed reader of the ledger. Each batch is read, handed to the handler and checkpointed in one database
+ transaction, and the handler receives that transaction so its read-model writes commit or roll back with the
+ checkpoint. A crashed runner resumes after the last committed batch.
+ */
+export function createSubscription(adapter, call, { name, entity, entityKey, events, batchSize = 100, handler }) {
+  const filter = { entity, entityKey, events }
+
+  async function poll() {
+    return call(() => adapter.handleSubscriptionBatch(name, filter, batchSize, handler))
+  }
+
+  return {
+    name,
+
+    /**
+     Handles the next batch of at most batchSize events and resolves to the number handled. Handler errors roll the
+     batch back and reject, leaving the checkpoint where it was.
+     */
+    poll,
+
+    /**
+     Polls until signal is aborted, waiting interval milliseconds whenever the subscription has caught up.
+     */
+    async run({ interval = 1000, signal } = {}) {
+      while (!signal?.aborted) {
+        if (await poll() < batchSize) {
+          await setTimeout(interval, undefined, { signal }).catch(() => {})
+        }
+      }
+    },
+
+    /**
+     Resolves to the event_id of the newest event handled, or null if none has been.
+     */
+    async position() {
+      return call(() => adapter.subscriptionPosition(name))
+    },
+
+    /**
+     Moves the checkpoint back to the start of the ledger, so the next poll rebuilds from the first event.
+     */
+    async rewind() {
+      return call(() => adapter.rewindSubscription(name))
+    }
+  }
+}
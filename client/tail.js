@@ -0,0 +1,60 @@
+import { setTimeout } from 'node:timers/promises'
+
+
+function matches({ entity, entityKey, events }, appended) {
+  return (entity === undefined || entity === appended.entity)
+    && (entityKey === undefined || entityKey === appended.entity_key)
+    && (!events?.length || events.includes(appended.event))
+}
+
+
+/**
+ Yields the events after the event `after`, or after the sequence `cursor` (0 for the first event), or else the events
+ appended from now on, and then each new event as it is appended. Events are read pageSize at a time with replayPage,
+ which stops at the high-water mark, so an event that commits after a newer one is still yielded, in ledger order.
+ Adapters with a listen() method wake the tail on every append; every tail also polls each interval milliseconds, which
+ picks up events held back by the high-water mark once the transaction before them has ended.
+ */
+export async function* tail(adapter, call, {
+  after = null,
+  cursor = null,
+  entity,
+  entityKey,
+  events,
+  pageSize = 1000,
+  interval = 1000,
+  signal
+} = {}) {
+  const filter = { entity, entityKey, events }
+  let wake = () => {}
+  const unlisten = adapter.listen
+    ? await call(() => adapter.listen((appended) => matches(filter, appended) && wake()))
+    : null
+
+  try {
+    if (after) {
+      cursor = await call(() => adapter.eventSequence(after))
+      if (cursor === null) {
+        throw new Error(`Event with ID ${after} does not exist`)
+      }
+    } else if (cursor === null) {
+      cursor = await call(() => adapter.highWaterMark())
+    }
+    while (!signal?.aborted) {
+      // listen for appends before the read starts, so one committed during the read is not lost
+      const appended = new Promise((resolve) => wake = resolve)
+      const page = await call(() => adapter.replayPage(filter, cursor, pageSize))
+      cursor = page.nextCursor
+      yield* page.events
+      if (page.events.length < pageSize) {
+        const woken = new AbortController()
+        const signals = signal ? [signal, woken.signal] : [woken.signal]
+        await Promise.race([appended, setTimeout(interval, undefined, { signal: AbortSignal.any(signals) }).catch(() => {})])
+        // an append woke the tail, so its poll is cancelled rather than left to keep the process alive
+        woken.abort()
+      }
+    }
+  } finally {
+    await unlisten?.()
+  }
+}
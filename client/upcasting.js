@@ -0,0 +1,31 @@
+/**
+ Upcasters turn the data of an older schema version of an event into the shape of the next version. They are
+ registered by entity, event and fromVersion, and replay runs them in a chain, so readers only ever see the newest
+ version of each event.
+ */
+export function createUpcaster() {
+  const upcasters = new Map()
+  const key = (entity, event, version) => JSON.stringify([entity, event, version])
+
+  function upcastEvent(event) {
+    let upcasted = event
+    let upcast
+    while ((upcast = upcasters.get(key(event.entity, event.event, upcasted.version)))) {
+      upcasted = { ...upcasted, data: upcast(upcasted.data, upcasted), version: upcasted.version + 1 }
+    }
+    return upcasted
+  }
+
+  return {
+    register({ entity, event, fromVersion, upcast }) {
+      if (!Number.isInteger(fromVersion) || typeof upcast !== 'function') {
+        throw new TypeError('an upcaster needs an integer fromVersion and an upcast function')
+      }
+      upcasters.set(key(entity, event, fromVersion), upcast)
+    },
+
+    upcast(events) {
+      return upcasters.size ? events.map(upcastEvent) : events
+    }
+  }
+}
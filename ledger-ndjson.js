@@ -0,0 +1,39 @@
+/**
+ Moves a ledger between backends through the NDJSON format of client/ndjson.js.
+
+   node ledger-ndjson.js export <backend> <location> > ledger.ndjson
+   node ledger-ndjson.js import <backend> <location> < ledger.ndjson
+
+ backend and location are as for check-ledger.js: sqlite <file>, pglite <directory> or sqlserver <connection>. Import
+ creates a missing SQLite file or empty pglite directory with the event store DDL, and reports the number of events
+ it imported on stderr.
+ */
+import readline from 'readline'
+import { createEventStore } from './client/index.js'
+import { backendNames, openBackend } from './cli-backends.js'
+
+
+const [command, backendName, location] = process.argv.slice(2)
+
+if (!['export', 'import'].includes(command) || !backendNames.includes(backendName) || !location) {
+  console.error('usage: node ledger-ndjson.js export|import sqlite <file> | pglite <directory> | sqlserver <connection-string>')
+  process.exit(2)
+}
+
+const backend = await openBackend(backendName, location, { create: command === 'import' })
+try {
+  const store = createEventStore(backend.adapter)
+  if (command === 'export') {
+    for await (const line of store.exportLedger()) {
+      if (!process.stdout.write(line)) {
+        await new Promise((resolve) => process.stdout.once('drain', resolve))
+      }
+    }
+  } else {
+    const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity })
+    const imported = await store.importLedger(lines)
+    console.error(`imported ${imported} events`)
+  }
+} finally {
+  await backend.close()
+}
@@ -1,9 +1,13 @@
-import { rejects, doesNotReject, strictEqual } from 'node:assert/strict'
+import { ok, rejects, doesNotReject, strictEqual, deepStrictEqual } from 'node:assert/strict'
 import { before, after, test } from 'node:test'
 import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
 import { nanoid } from 'nanoid'
 import { PGlite } from '@electric-sql/pglite'
 import { query } from '@electric-sql/pglite/template'
+import { postgresAdapter } from './client/index.js'
 
 
 /**
@@ -18,6 +22,12 @@ const tableTennisEntity = 'table-tennis'
 const pingEvent = 'ball-pinged'
 const pongEvent = 'ball-ponged'
 
+const orderEntity = 'order'
+const orderPlacedEvent = 'order-placed'
+const itemAddedEvent = 'item-added'
+const orderArchivedEvent = 'order-archived'
+const orderCancelledEvent = 'order-cancelled'
+
 const thingKey = '1'
 const homeTableKey = 'home'
 const workTableKey = 'work'
@@ -143,10 +153,25 @@ VALUES (${'entity'}, ${'entityKey'}, ${'event'}, ${'data'}, ${'appendKey'}, ${'p
           'previous ID must be newest event in entity')
     })
 
+    await t.test('previous_id rules raise stable error codes', async () => {
+      await rejects(
+        () => db.query(appendStmt.query, [tableTennisEntity, homeTableKey, pingEvent, data, nanoid(), null]),
+        { code: 'ES005' },
+        'first event error code')
+      await rejects(
+        () => db.query(appendStmt.query, [tableTennisEntity, workTableKey, pongEvent, data, nanoid(), pingEventHomeId]),
+        { code: 'ES006' },
+        'same entity error code')
+      await rejects(
+        () => db.query(appendStmt.query, [thingEntity, thingKey, thingCreatedEvent, data, nanoid(), thingEventId1]),
+        { code: 'ES007' },
+        'newest event error code')
+    })
+
     await t.test('Cannot insert duplicates', async () => {
       await rejects(
         () => db.query(appendStmt.query, [thingEntity, thingKey, thingDeletedEvent, data, appendKey1, thingEventId2]),
-        /error: duplicate key value violates unique constraint "ledger_append_key_key"/,
+        /error: append key reused with different content/,
         'cannot insert different event for same append_key')
       await rejects(
         () => db.query(appendStmt.query, [thingEntity, thingKey, thingDeletedEvent, data, nanoid(), thingEventId1]),
@@ -192,5 +217,889 @@ VALUES (${'entity'}, ${'entityKey'}, ${'event'}, ${'data'}, ${'appendKey'}, ${'p
       const {rows} = await db.query(`SELECT * FROM replay_events_after('${thingEventId1}') WHERE entity = '${thingEntity}'`)
       strictEqual(rows.length, 1, 'should have one event')
     })
+
+    await t.test('page through events by sequence', async () => {
+      const page = async (cursor, entity) => (await db.query('SELECT * FROM replay_events_page($1, 2, $2)', [cursor, entity])).rows
+      const first = await page(0)
+      strictEqual(first.length, 2, 'should have a full first page')
+      strictEqual(first[0].event_id, thingEventId1)
+      const second = await page(first.at(-1).sequence)
+      strictEqual(second.length > 0 && second[0].sequence > first[1].sequence, true, 'should continue after the cursor')
+      deepStrictEqual((await page(0, thingEntity)).map(row => row.entity), [thingEntity, thingEntity], 'should filter by entity')
+    })
+
+    await t.test('replay events until a sequence', async () => {
+      const {rows} = await db.query(`
+SELECT event_id
+FROM replay_events_until((SELECT sequence FROM ledger WHERE event_id = $1))
+WHERE entity = $2`, [thingEventId1, thingEntity])
+      deepStrictEqual(rows.map(row => row.event_id), [thingEventId1])
+    })
+
+    await t.test('replay events as of a time', async () => {
+      const asOf = async (timestamp) => (await db.query(
+        'SELECT event_id FROM replay_events_as_of($1) WHERE entity = $2', [timestamp, thingEntity])).rows.map(row => row.event_id)
+      deepStrictEqual(await asOf(new Date()), [thingEventId1, thingEventId2])
+      deepStrictEqual(await asOf('2000-01-01T00:00:00Z'), [])
+    })
+
+    await t.test('head as of a time', async () => {
+      const headAsOf = async (timestamp) => (await db.query(
+        'SELECT head_as_of($1, $2, $3) AS event_id', [thingEntity, thingKey, timestamp])).rows[0].event_id
+      strictEqual(await headAsOf(new Date()), thingEventId2)
+      strictEqual(await headAsOf('2000-01-01T00:00:00Z'), null)
+    })
+  })
+
+
+  await ctx.test('append event batches', async (t) => {
+    const orderKey = nanoid()
+    const appendBatchStmt = query`SELECT append_events (${'entity'}, ${'entity_key'}, ${'previous_id'}, ARRAY(SELECT jsonb_array_elements(${'events'}::jsonb))) AS event_ids`
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+
+    let orderEventIds
+
+    await t.test('insert a batch of events for an entity', async () => {
+      await doesNotReject(async () => {
+        const {rows:[{event_ids}]} = await db.query(appendBatchStmt.query, [orderEntity, orderKey, null, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent)])
+        orderEventIds = event_ids
+      })
+      strictEqual(orderEventIds.length, 3, 'should return three event ids')
+
+      const {rows} = await db.query(`SELECT previous_id, event_id FROM ledger WHERE entity_key = '${orderKey}' ORDER BY sequence`)
+      deepStrictEqual(rows, [
+        {previous_id: null, event_id: orderEventIds[0]},
+        {previous_id: orderEventIds[0], event_id: orderEventIds[1]},
+        {previous_id: orderEventIds[1], event_id: orderEventIds[2]}
+      ], 'each event should follow the one before it')
+    })
+
+    await t.test('batches follow previous_id rules', async () => {
+      await rejects(
+        () => db.query(appendBatchStmt.query, [orderEntity, orderKey, null, batch(orderPlacedEvent)]),
+        /error: previous_id can only be null for first entity event/,
+        'cannot insert a first-event batch into an existing entity')
+      await rejects(
+        () => db.query(appendBatchStmt.query, [orderEntity, orderKey, orderEventIds[1], batch(itemAddedEvent)]),
+        /error: previous_id must reference the newest event in entity/,
+        'batch previous ID must be newest event in entity')
+      await rejects(
+        () => db.query(appendBatchStmt.query, [orderEntity, orderKey, null, '[]']),
+        /error: events must contain at least one event/,
+        'cannot insert an empty batch')
+    })
+
+    await t.test('batches are atomic', async () => {
+      const events = JSON.parse(batch(itemAddedEvent, itemAddedEvent))
+      events[1].append_key = events[0].append_key
+      await rejects(
+        () => db.query(appendBatchStmt.query, [orderEntity, orderKey, orderEventIds[2], JSON.stringify(events)]),
+        /error: append key reused with different content/,
+        'cannot insert duplicate append keys in a batch')
+
+      const {rows:[{count}]} = await db.query(`SELECT COUNT(*)::int AS count FROM ledger WHERE entity_key = '${orderKey}'`)
+      strictEqual(count, 3, 'failed batch should not append any events')
+    })
+  })
+
+  await ctx.test('idempotent appends', async (t) => {
+    const appendStmt = query`SELECT append_event (${'entity'}, ${'entity_key'}, ${'event'}, ${'data'}, ${'append_key'}, ${'previous_id'}) AS event_id`
+    const appendKey = nanoid()
+    const data = {value: 1}
+
+    await t.test('repeating an append returns the original event_id', async () => {
+      const {rows:[{event_id: eventId}]} = await db.query(appendStmt.query, [thingEntity, thingKey, thingCreatedEvent, data, appendKey, thingEventId2])
+      const {rows:[{event_id: retriedId}]} = await db.query(appendStmt.query, [thingEntity, thingKey, thingCreatedEvent, {value: 1}, appendKey, thingEventId2])
+      strictEqual(retriedId, eventId, 'retry should return the original event_id')
+
+      const {rows:[{count}]} = await db.query(`SELECT COUNT(*)::int AS count FROM ledger WHERE append_key = '${appendKey}'`)
+      strictEqual(count, 1, 'retry should not append another event')
+    })
+
+    await t.test('reusing an append_key with different content is rejected', async () => {
+      await rejects(
+        () => db.query(appendStmt.query, [thingEntity, thingKey, thingCreatedEvent, {value: 2}, appendKey, thingEventId2]),
+        {code: 'ES004', message: 'append key reused with different content'},
+        'different data')
+      await rejects(
+        () => db.query(appendStmt.query, [thingEntity, homeTableKey, thingCreatedEvent, data, appendKey, null]),
+        {code: 'ES004'},
+        'different entity key')
+    })
+
+    await t.test('repeating a batch returns the original event_ids', async () => {
+      const appendBatchStmt = query`SELECT append_events (${'entity'}, ${'entity_key'}, ${'previous_id'}, ARRAY(SELECT jsonb_array_elements(${'events'}::jsonb))) AS event_ids`
+      const ledgerSize = async () => (await db.query('SELECT COUNT(*)::int AS count FROM ledger')).rows[0].count
+      const entityKey = nanoid()
+      const events = JSON.stringify([
+        { event: thingCreatedEvent, data: {}, append_key: nanoid() },
+        { event: thingDeletedEvent, data: {}, append_key: nanoid() }
+      ])
+
+      const {rows:[{event_ids: eventIds}]} = await db.query(appendBatchStmt.query, [thingEntity, entityKey, null, events])
+      const size = await ledgerSize()
+      const {rows:[{event_ids: retriedIds}]} = await db.query(appendBatchStmt.query, [thingEntity, entityKey, null, events])
+      deepStrictEqual(retriedIds, eventIds, 'retry should return the original event_ids')
+      strictEqual(await ledgerSize(), size, 'retry should not append more events')
+
+      await rejects(
+        () => db.query(appendBatchStmt.query, [thingEntity, entityKey, null, JSON.stringify(JSON.parse(events).reverse())]),
+        {code: 'ES004'},
+        'batch with events in a different order')
+
+      const extended = [...JSON.parse(events), { event: thingDeletedEvent, data: {}, append_key: nanoid() }]
+      const {rows:[{event_ids: extendedIds}]} = await db.query(appendBatchStmt.query, [thingEntity, entityKey, null, JSON.stringify(extended)])
+      deepStrictEqual(extendedIds.slice(0, 2), eventIds, 'repeated events keep their event_ids')
+      strictEqual(await ledgerSize(), size + 1, 'only the new event should be appended')
+    })
+  })
+
+  await ctx.test('schema versions', async (t) => {
+    const appendStmt = 'SELECT append_event ($1, $2, $3, $4, $5, $6, $7) AS event_id'
+    const versionOf = async (eventId) => (await db.query('SELECT schema_version FROM replay_events WHERE event_id = $1', [eventId])).rows[0].schema_version
+
+    await t.test('events are version 1 unless given', async () => {
+      const {rows:[{event_id: eventId}]} = await db.query('SELECT append_event ($1, $2, $3, $4, $5, $6) AS event_id', [thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), null])
+      strictEqual(await versionOf(eventId), 1)
+    })
+
+    await t.test('appends and batches record the version', async () => {
+      const {rows:[{event_id: eventId}]} = await db.query(appendStmt, [thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), null, 3])
+      strictEqual(await versionOf(eventId), 3)
+
+      const events = JSON.stringify([{ event: thingCreatedEvent, data: {}, schema_version: 2, append_key: nanoid() }])
+      const {rows:[{event_ids: [batchEventId]}]} = await db.query(
+        'SELECT append_events ($1, $2, $3, ARRAY(SELECT jsonb_array_elements($4::jsonb))) AS event_ids', [thingEntity, nanoid(), null, events])
+      strictEqual(await versionOf(batchEventId), 2)
+    })
+
+    await t.test('reusing an append_key with a different version is rejected', async () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      await db.query(appendStmt, [thingEntity, entityKey, thingCreatedEvent, {}, appendKey, null, 1])
+      await rejects(
+        () => db.query(appendStmt, [thingEntity, entityKey, thingCreatedEvent, {}, appendKey, null, 2]),
+        {code: 'ES004'})
+    })
+  })
+
+  await ctx.test('causation', async (t) => {
+    const appendStmt = 'SELECT append_event ($1, $2, $3, $4, $5, $6, 1, $7, $8, $9) AS event_id'
+    const append = async (params) => (await db.query(appendStmt, params)).rows[0].event_id
+    const correlationId = nanoid()
+    let causeId
+    let effectId
+
+    await t.test('appends record metadata, correlation and causation', async () => {
+      causeId = await append([thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), null, { user: 'ada' }, correlationId, null])
+      effectId = await append([orderEntity, nanoid(), orderPlacedEvent, {}, nanoid(), null, null, correlationId, causeId])
+      const {rows:[effect]} = await db.query('SELECT metadata, causation_id FROM replay_events WHERE event_id = $1', [effectId])
+      deepStrictEqual(effect, { metadata: null, causation_id: causeId })
+      const {rows:[{count}]} = await db.query('SELECT COUNT(*)::INTEGER AS count FROM ledger WHERE correlation_id = $1', [correlationId])
+      strictEqual(count, 2)
+    })
+
+    await t.test('causation_id must reference an existing event', async () => {
+      await rejects(
+        () => append([thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), null, null, null, crypto.randomUUID()]),
+        {code: 'ES014'})
+    })
+
+    await t.test('causal_chain walks causes and effects', async () => {
+      const {rows} = await db.query('SELECT event_id, depth, metadata FROM causal_chain($1)', [effectId])
+      deepStrictEqual(rows, [{ event_id: causeId, depth: -1, metadata: { user: 'ada' } }, { event_id: effectId, depth: 0, metadata: null }])
+    })
+
+    await t.test('reusing an append_key with different metadata is rejected', async () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      const eventId = await append([thingEntity, entityKey, thingCreatedEvent, {}, appendKey, null, { a: 1 }, null, null])
+      strictEqual(await append([thingEntity, entityKey, thingCreatedEvent, {}, appendKey, null, { a: 1 }, null, null]), eventId)
+      await rejects(
+        () => append([thingEntity, entityKey, thingCreatedEvent, {}, appendKey, null, { a: 2 }, null, null]),
+        {code: 'ES004'})
+    })
+  })
+
+  await ctx.test('expected versions', async (t) => {
+    const entityKey = nanoid()
+    const append = async (expectedVersion, appendKey = nanoid()) => (await db.query(
+      'SELECT append_event_at_version ($1, $2, $3, $4, $5, $6) AS event_id',
+      [thingEntity, entityKey, thingCreatedEvent, {}, appendKey, expectedVersion])).rows[0].event_id
+    const positions = async () => (await db.query(
+      'SELECT stream_position FROM replay_events WHERE entity_key = $1', [entityKey])).rows.map(row => row.stream_position)
+
+    await t.test('appends follow the expected version', async () => {
+      const appendKey = nanoid()
+      const eventId = await append(0, appendKey)
+      await append(1)
+      await append(-1)
+      await append(null)
+      deepStrictEqual(await positions(), [1, 2, 3, 4])
+      strictEqual(await append(0, appendKey), eventId, 'repeated appends keep their original event')
+    })
+
+    await t.test('batches are numbered in order', async () => {
+      const {rows:[{event_id: previousId}]} = await db.query(
+        'SELECT event_id FROM ledger WHERE entity_key = $1 AND stream_position = 4', [entityKey])
+      const events = JSON.stringify([{ event: thingCreatedEvent, data: {}, append_key: nanoid() }, { event: thingCreatedEvent, data: {}, append_key: nanoid() }])
+      await db.query('SELECT append_events ($1, $2, $3, ARRAY(SELECT jsonb_array_elements($4::jsonb)))', [thingEntity, entityKey, previousId, events])
+      deepStrictEqual(await positions(), [1, 2, 3, 4, 5, 6])
+    })
+
+    await t.test('other versions are rejected', async () => {
+      await rejects(() => append(5), {code: 'ES015', message: 'entity is not at expected_version'})
+      await rejects(() => append(0), {code: 'ES015'})
+      await rejects(
+        () => db.query('SELECT append_event_at_version ($1, $2, $3, $4, $5, $6)', [thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), -1]),
+        {code: 'ES015'})
+    })
+
+    await t.test('two events cannot share a stream position', async () => {
+      // the stream_position constraint still holds if the streams table is bypassed, as with the trigger disabled here
+      await rejects(() => db.transaction(async (tx) => {
+        await tx.query('ALTER TABLE ledger DISABLE TRIGGER move_stream_head')
+        await tx.query('INSERT INTO ledger (entity, entity_key, event, data, append_key) VALUES ($1, $2, $3, $4, $5)',
+          [thingEntity, entityKey, thingCreatedEvent, {}, nanoid()])
+      }), {code: '23505', constraint: 'ledger_stream_position_key'})
+    })
+  })
+
+  await ctx.test('append conditions', async (t) => {
+    const usernameQuery = (username) => JSON.stringify([{ events: ['user-registered', 'username-changed'], tags: [`username:${username}`] }])
+    const register = async (entityKey, username, after, appendKey = nanoid(), event = 'user-registered', client = db) => (await client.query(`
+SELECT append_event_with_condition($1, $2, $3, '{}', $4, NULL, $5::jsonb, $6, tags_in => $7) AS event_id`,
+      ['user', entityKey, event, appendKey, usernameQuery(username), after, [`username:${username}`, `user:${entityKey}`]])).rows[0].event_id
+    const newest = async () => Number((await db.query('SELECT max(sequence) AS sequence FROM ledger')).rows[0].sequence)
+    const matching = async (username, after = 0) => (await db.query(
+      'SELECT entity_key FROM replay_events_matching($1::jsonb, $2)', [usernameQuery(username), after])).rows.map(row => row.entity_key)
+
+    await t.test('appends when no event matches the query', async () => {
+      const appendKey = nanoid()
+      const eventId = await register('ann', 'ann', 0, appendKey)
+      const {rows: [{tags}]} = await db.query('SELECT tags FROM replay_events WHERE event_id = $1', [eventId])
+      deepStrictEqual(tags, ['username:ann', 'user:ann'])
+      strictEqual(await register('ann', 'ann', 0, appendKey), eventId, 'repeated appends keep their original event')
+    })
+
+    await t.test('an event matching the query after the sequence rejects the append, in any entity', async () => {
+      await rejects(() => register('ann-2', 'ann', 0),
+        {code: 'ES017', message: 'events matching the append condition were appended after after_sequence'})
+      const after = await newest()
+      await doesNotReject(() => register('bob', 'bob', after), 'other tags do not match')
+      await rejects(() => register('bob-2', 'bob', after), {code: 'ES017'})
+      const newer = await newest()
+      await doesNotReject(() => register('ann-3', 'ann', newer), 'events up to the sequence do not match')
+      deepStrictEqual(await matching('ann'), ['ann', 'ann-3'])
+      deepStrictEqual(await matching('bob', after), ['bob'])
+    })
+
+    await t.test('events must have every tag of the query and one of its events', async () => {
+      const after = await newest()
+      await db.query(`SELECT append_event('user', 'cy', 'user-registered', '{}', $1, tags_in => '{user:cy}')`, [nanoid()])
+      await db.query(`SELECT append_event('user', 'cy-2', 'user-renamed', '{}', $1, tags_in => '{username:cy}')`, [nanoid()])
+      await doesNotReject(() => register('cy-3', 'cy', after))
+      await rejects(() => register('cy-4', 'cy', after, nanoid(), 'username-changed'), {code: 'ES017'})
+    })
+
+    await t.test('batch events carry tags', async () => {
+      const after = await newest()
+      const events = JSON.stringify([{ event: 'user-registered', data: {}, append_key: nanoid(), tags: ['username:dee'] }])
+      await db.query('SELECT append_events ($1, $2, NULL, ARRAY(SELECT jsonb_array_elements($3::jsonb)))', ['user', 'dee', events])
+      await rejects(() => register('dee-2', 'dee', after), {code: 'ES017'})
+    })
+
+    await t.test('the condition sees the transaction\'s own appends', async () => {
+      const after = await newest()
+      await rejects(() => db.transaction(async (tx) => {
+        await register('eve', 'eve', after, nanoid(), 'user-registered', tx)
+        await register('eve-2', 'eve', after, nanoid(), 'user-registered', tx)
+      }), {code: 'ES017'})
+      deepStrictEqual(await matching('eve'), [], 'the transaction rolls back')
+    })
+  })
+
+  await ctx.test('snapshots', async (t) => {
+    const orderKey = nanoid()
+    const appendBatchStmt = query`SELECT append_events (${'entity'}, ${'entity_key'}, ${'previous_id'}, ARRAY(SELECT jsonb_array_elements(${'events'}::jsonb))) AS event_ids`
+    const snapshotStmt = query`INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data) VALUES (${'entity'}, ${'entity_key'}, ${'event_id'}, ${'schema_version'}, ${'data'})`
+    const replay = async () => (await db.query(
+      'SELECT event, data, event_id, snapshot_version FROM replay_events_from_snapshot($1, $2)', [orderEntity, orderKey])).rows
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+
+    const {rows:[{event_ids: orderEventIds}]} = await db.query(appendBatchStmt.query, [orderEntity, orderKey, null, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent)])
+
+    await t.test('replay without a snapshot returns every event', async () => {
+      deepStrictEqual((await replay()).map(({event_id, snapshot_version}) => [event_id, snapshot_version]), orderEventIds.map(id => [id, null]))
+    })
+
+    await t.test('replay starts from the latest snapshot', async () => {
+      await db.query(snapshotStmt.query, [orderEntity, orderKey, orderEventIds[0], 1, {items: 0}])
+      await db.query(snapshotStmt.query, [orderEntity, orderKey, orderEventIds[1], 1, {items: 1}])
+      deepStrictEqual(await replay(), [
+        {event: null, data: {items: 1}, event_id: orderEventIds[1], snapshot_version: 1},
+        {event: itemAddedEvent, data: {}, event_id: orderEventIds[2], snapshot_version: null}
+      ])
+    })
+
+    await t.test('snapshots can be replaced and deleted', async () => {
+      const {affectedRows: updated} = await db.query(`UPDATE snapshots SET schema_version = 2, data = '{"items": [1]}' WHERE event_id = '${orderEventIds[1]}'`)
+      strictEqual(updated, 1, 'snapshot should be updated')
+      deepStrictEqual((await replay())[0], {event: null, data: {items: [1]}, event_id: orderEventIds[1], snapshot_version: 2})
+
+      const {affectedRows: deleted} = await db.query(`DELETE FROM snapshots WHERE entity_key = '${orderKey}'`)
+      strictEqual(deleted, 2, 'snapshots should be deleted')
+      strictEqual((await replay()).length, 3, 'replay should start from the first event again')
+    })
+
+    await t.test('snapshots must cover an event of their entity', async () => {
+      await rejects(
+        () => db.query(snapshotStmt.query, [orderEntity, 'other', orderEventIds[0], 1, {}]),
+        {code: 'ES009', message: 'snapshot event_id must be in the same entity'},
+        'event of another entity')
+      await rejects(
+        () => db.query(snapshotStmt.query, [orderEntity, orderKey, crypto.randomUUID(), 1, {}]),
+        {code: 'ES009'},
+        'unknown event')
+    })
+  })
+
+  await ctx.test('append notifications', async (t) => {
+    await t.test('appends notify ledger listeners', async () => {
+      const entityKey = nanoid()
+      let notify
+      const notified = new Promise((resolve) => notify = resolve)
+      const unlisten = await db.listen('ledger', (payload) => notify(JSON.parse(payload)))
+      const {rows:[{event_id: eventId}]} = await db.query(
+        'SELECT append_event($1, $2, $3, $4, $5) AS event_id', [orderEntity, entityKey, orderPlacedEvent, {}, nanoid()])
+      const {rows:[{sequence}]} = await db.query('SELECT sequence::int FROM ledger WHERE event_id = $1', [eventId])
+      deepStrictEqual(await notified, {
+        tenant: '',
+        entity: orderEntity,
+        entity_key: entityKey,
+        event: orderPlacedEvent,
+        event_id: eventId,
+        sequence
+      })
+      await unlisten()
+    })
+  })
+
+  await ctx.test('event type registry', async (t) => {
+    const invoiceEntity = 'invoice'
+    const invoiceIssuedEvent = 'invoice-issued'
+    const registerStmt = query`INSERT INTO event_types (entity, event, schema_version, schema) VALUES (${'entity'}, ${'event'}, ${'schema_version'}, ${'schema'})`
+    const appendStmt = query`SELECT append_event (${'entity'}, ${'entity_key'}, ${'event'}, ${'data'}, ${'append_key'}) AS event_id`
+
+    await t.test('entities without registrations accept any event', async () => {
+      await doesNotReject(() => db.query(appendStmt.query, [invoiceEntity, nanoid(), 'invoice-craeted', {}, nanoid()]))
+    })
+
+    await t.test('registered entities only accept registered events', async () => {
+      await db.query(registerStmt.query, [invoiceEntity, invoiceIssuedEvent, 1, {type: 'object'}])
+      await doesNotReject(() => db.query(appendStmt.query, [invoiceEntity, nanoid(), invoiceIssuedEvent, {}, nanoid()]))
+      await rejects(
+        () => db.query(appendStmt.query, [invoiceEntity, nanoid(), 'invoice-craeted', {}, nanoid()]),
+        {code: 'ES010', message: 'event is not registered for the entity'},
+        'unregistered event')
+    })
+
+    await t.test('batches only accept registered events', async () => {
+      const events = JSON.stringify([
+        { event: invoiceIssuedEvent, data: {}, append_key: nanoid() },
+        { event: 'invoice-craeted', data: {}, append_key: nanoid() }
+      ])
+      await rejects(
+        () => db.query('SELECT append_events($1, $2, NULL, ARRAY(SELECT jsonb_array_elements($3::jsonb)))', [invoiceEntity, nanoid(), events]),
+        {code: 'ES010'})
+    })
+
+    await t.test('registrations are append-only', async () => {
+      await doesNotReject(() => db.query(registerStmt.query, [invoiceEntity, invoiceIssuedEvent, 2, {type: 'object', required: ['total']}]))
+      await rejects(
+        () => db.query(registerStmt.query, [invoiceEntity, invoiceIssuedEvent, 2, {}]),
+        {code: '23505'},
+        'cannot register the same version twice')
+
+      await db.query('DELETE FROM event_types')
+      await db.query(`UPDATE event_types SET schema = '{}'`)
+      const {rows} = await db.query('SELECT schema_version, schema FROM event_types ORDER BY schema_version')
+      deepStrictEqual(rows, [
+        {schema_version: 1, schema: {type: 'object'}},
+        {schema_version: 2, schema: {type: 'object', required: ['total']}}
+      ], 'deletes and updates should be ignored')
+    })
+  })
+
+  await ctx.test('encryption keys', async (t) => {
+    const insertKey = (entityKey) => db.query('INSERT INTO encryption_keys (entity, entity_key, key) VALUES ($1, $2, $3)', [thingEntity, entityKey, crypto.getRandomValues(new Uint8Array(32))])
+
+    await t.test('keys can be deleted', async () => {
+      await insertKey('shredded')
+      const {affectedRows} = await db.query(`DELETE FROM encryption_keys WHERE entity_key = 'shredded'`)
+      strictEqual(affectedRows, 1, 'key should be deleted')
+    })
+
+    await t.test('keys cannot be replaced', async () => {
+      await insertKey('kept')
+      await rejects(
+        () => db.query(`UPDATE encryption_keys SET key = '\\x00' WHERE entity_key = 'kept'`),
+        {code: 'ES013', message: 'Cannot update encryption keys'})
+      await rejects(() => insertKey('kept'), {code: '23505'}, 'one key per entity instance')
+    })
+  })
+
+  await ctx.test('hash chain', async (t) => {
+    const seal = async (client) => Number((await client.query('SELECT seal_ledger() AS sealed')).rows[0].sealed)
+
+    await t.test('every event is hashed', async () => {
+      const {rows} = await db.query('SELECT * FROM verify_ledger()')
+      deepStrictEqual(rows, [])
+    })
+
+    await t.test('seal_ledger chains the committed events in sequence order', async () => {
+      const {rows: [{count}]} = await db.query('SELECT count(*)::INTEGER AS count FROM ledger')
+      ok(count > 0)
+      strictEqual(await seal(db), count)
+      strictEqual(await seal(db), 0, 'sealed events are not sealed again')
+      deepStrictEqual((await db.query('SELECT * FROM verify_ledger()')).rows, [])
+    })
+
+    const tamperedDb = async (tamper) => {
+      const tampered = await initDb()
+      const {rows: [{append_event: firstId}]} = await tampered.query('SELECT append_event($1, $2, $3, $4, $5, NULL)', [thingEntity, thingKey, thingCreatedEvent, {}, nanoid()])
+      await tampered.query('SELECT append_event($1, $2, $3, $4, $5, $6)', [thingEntity, thingKey, thingDeletedEvent, {}, nanoid(), firstId])
+      await tampered.query('SELECT append_event($1, $2, $3, $4, $5, NULL)', [tableTennisEntity, homeTableKey, pingEvent, {}, nanoid()])
+      await seal(tampered)
+      await tamper(tampered)
+      return tampered
+    }
+
+    await t.test('seal_ledger stops at the high-water mark', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        // an event of a transaction still running, as in catch-up reads
+        await tampered.query(`
+INSERT INTO ledger (entity, entity_key, event, data, append_key, transaction_id)
+VALUES ($1, 'in-flight', $2, '{}', $3, (pg_current_xact_id()::TEXT::BIGINT + 1000)::TEXT::XID8)`, [tableTennisEntity, pingEvent, nanoid()])
+        await tampered.query('SELECT append_event($1, $2, $3, $4, $5, NULL)', [tableTennisEntity, nanoid(), pingEvent, {}, nanoid()])
+      })
+      strictEqual(await seal(tampered), 0)
+      deepStrictEqual((await tampered.query('SELECT * FROM verify_ledger()')).rows, [])
+      await tampered.close()
+    })
+
+    await t.test('detects changed events', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query(`UPDATE ledger SET data = '{"forged": true}' WHERE sequence = 2`)
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 2)
+      strictEqual(broken.hash === broken.expected_hash, false)
+      await tampered.close()
+    })
+
+    await t.test('detects removed events', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.exec('DROP RULE ignore_delete_events ON ledger')
+        await tampered.query('DELETE FROM ledger WHERE sequence = 2')
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 2)
+      strictEqual(broken.event_id, null)
+      await tampered.close()
+    })
+
+    await t.test('detects sealed events whose hash was recomputed', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query(`UPDATE ledger SET data = '{"forged": true}' WHERE sequence = 2`)
+        await tampered.query(`
+UPDATE ledger l
+SET hash = event_hash(l, (SELECT hash FROM ledger p WHERE p.event_id = l.previous_id))
+WHERE sequence = 2`)
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 2)
+      await tampered.close()
+    })
+
+    await t.test('detects events inserted into the sealed chain', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.query('SELECT append_event($1, $2, $3, $4, $5, NULL)', [tableTennisEntity, nanoid(), pingEvent, {}, nanoid()])
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query('UPDATE ledger SET sequence = 0 WHERE sequence = 4')
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 0)
+      strictEqual(broken.hash, null)
+      await tampered.close()
+    })
+
+    await t.test('detects changed tags', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query(`UPDATE ledger SET tags = '{forged}' WHERE sequence = 2`)
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 2)
+      await tampered.close()
+    })
+
+    await t.test('detects reopened streams', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.query('INSERT INTO terminal_events (entity, event) VALUES ($1, $2)', [orderEntity, orderCancelledEvent])
+        await tampered.query('SELECT append_event($1, $2, $3, $4, $5, NULL)', [orderEntity, nanoid(), orderCancelledEvent, {}, nanoid()])
+        deepStrictEqual((await tampered.query('SELECT * FROM verify_ledger()')).rows, [],
+          'registered terminal events are hashed as terminal')
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query('UPDATE ledger SET terminal = false WHERE sequence = 4')
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 4)
+      await tampered.close()
+    })
+
+    await t.test('detects events moved to another tenant', async () => {
+      const tampered = await tamperedDb(async (tampered) => {
+        await tampered.exec('DROP RULE ignore_update_events ON ledger')
+        await tampered.query(`UPDATE ledger SET tenant = 'globex' WHERE sequence = 3`)
+      })
+      const {rows: [broken]} = await tampered.query('SELECT * FROM verify_ledger()')
+      strictEqual(broken.sequence, 3)
+      await tampered.close()
+    })
+  })
+
+  await ctx.test('restore mode', async (t) => {
+    const timestamp = '2025-04-07T12:00:00.000Z'
+    const restore = (client, eventId) => client.query(
+      'INSERT INTO ledger (entity, entity_key, event, data, append_key, previous_id, event_id, timestamp) VALUES ($1, $2, $3, $4, $5, NULL, $6, $7)',
+      [thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), eventId, timestamp])
+
+    await t.test('event_ids are generated outside restore mode', async () => {
+      await rejects(() => restore(db, crypto.randomUUID()), /event_id must not be directly set with INSERT statement/)
+    })
+
+    await t.test('restore mode keeps event_id and timestamp', async () => {
+      const eventId = crypto.randomUUID()
+      await db.transaction(async (tx) => {
+        await tx.query(`SET LOCAL event_store.restore = 'on'`)
+        await restore(tx, eventId)
+      })
+      const {rows: [row]} = await db.query('SELECT timestamp FROM ledger WHERE event_id = $1', [eventId])
+      deepStrictEqual(row.timestamp, new Date(timestamp))
+      await rejects(() => restore(db, crypto.randomUUID()), /event_id must not be directly set/, 'restore mode ends with its transaction')
+    })
+  })
+
+  await ctx.test('stream heads', async (t) => {
+    const rows = async (sql) => (await db.query(sql, [], { rowMode: 'array' })).rows
+    const heads = () => rows('SELECT entity, entity_key, head_event_id, event_count, last_sequence FROM streams ORDER BY entity, entity_key')
+
+    await t.test('streams hold the newest event of every entity instance', async () => {
+      deepStrictEqual(await heads(), await rows(`
+SELECT entity, entity_key, event_id, stream_position, sequence
+FROM ledger l
+WHERE sequence = (SELECT MAX(sequence) FROM ledger WHERE entity = l.entity AND entity_key = l.entity_key)
+ORDER BY entity, entity_key`))
+    })
+
+    await t.test('rejected appends leave the heads where they were', async () => {
+      const original = await heads()
+      const [entity, entityKey, headEventId] = original.find(([entity, entityKey]) => entity === thingEntity && entityKey === thingKey)
+      const {rows: [{previous_id: previousId}]} = await db.query('SELECT previous_id FROM ledger WHERE event_id = $1', [headEventId])
+      const append = (previousId) => db.query('SELECT append_event ($1, $2, $3, $4, $5, $6)', [entity, entityKey, thingCreatedEvent, {}, nanoid(), previousId])
+      await rejects(() => append(null), {code: 'ES005'})
+      await rejects(() => append(previousId), {code: 'ES007'})
+      deepStrictEqual(await heads(), original)
+    })
+  })
+
+  await ctx.test('terminal events', async (t) => {
+    const append = async (entityKey, event, previousId, terminal = false) => {
+      const {rows: [{event_id}]} = await db.query('SELECT append_event($1, $2, $3, $4, $5, $6, terminal_in => $7) AS event_id',
+        [orderEntity, entityKey, event, {}, nanoid(), previousId, terminal])
+      return event_id
+    }
+    const closedKeys = async () => (await db.query('SELECT entity_key FROM closed_streams WHERE entity = $1', [orderEntity])).rows
+      .map(({entity_key}) => entity_key)
+    const archivedKey = nanoid()
+    const cancelledKey = nanoid()
+    const batchKey = nanoid()
+
+    await t.test('a terminal append closes the entity', async () => {
+      const placedId = await append(archivedKey, orderPlacedEvent, null)
+      const archivedId = await append(archivedKey, orderArchivedEvent, placedId, true)
+      await rejects(() => append(archivedKey, itemAddedEvent, archivedId), {code: 'ES016', message: 'entity is closed by a terminal event'})
+      await rejects(() => append(archivedKey, itemAddedEvent, null), {code: 'ES016'}, 'whatever the previous_id')
+      await rejects(() => db.query('SELECT append_event_at_version($1, $2, $3, $4, $5, $6)',
+        [orderEntity, archivedKey, itemAddedEvent, {}, nanoid(), 2]), {code: 'ES016'})
+      deepStrictEqual(await closedKeys(), [archivedKey])
+      const {rows: [{closed}]} = await db.query('SELECT closed FROM streams WHERE entity_key = $1', [archivedKey])
+      strictEqual(closed, true)
+    })
+
+    await t.test('registered terminal events close the entity', async () => {
+      await db.query('INSERT INTO terminal_events (entity, event) VALUES ($1, $2)', [orderEntity, orderCancelledEvent])
+      const placedId = await append(cancelledKey, orderPlacedEvent, null)
+      const cancelledId = await append(cancelledKey, orderCancelledEvent, placedId)
+      await rejects(() => append(cancelledKey, itemAddedEvent, cancelledId), {code: 'ES016'})
+      const {rows} = await db.query('SELECT event, terminal FROM ledger WHERE entity_key = $1 ORDER BY sequence', [cancelledKey])
+      deepStrictEqual(rows, [{event: orderPlacedEvent, terminal: false}, {event: orderCancelledEvent, terminal: true}])
+      deepStrictEqual(await closedKeys(), [archivedKey, cancelledKey])
+    })
+
+    await t.test('batches cannot continue after a terminal event', async () => {
+      const batch = (...events) => db.query('SELECT append_events($1, $2, $3, ARRAY(SELECT jsonb_array_elements($4::jsonb)))',
+        [orderEntity, batchKey, null, JSON.stringify(events.map((event) => ({data: {}, append_key: nanoid(), ...event})))])
+      await rejects(() => batch({event: orderPlacedEvent, terminal: true}, {event: itemAddedEvent}), {code: 'ES016'})
+      const {rows: [{count}]} = await db.query('SELECT count(*)::INTEGER FROM ledger WHERE entity_key = $1', [batchKey])
+      strictEqual(count, 0, 'the batch is rolled back')
+      await batch({event: orderPlacedEvent}, {event: orderArchivedEvent, terminal: true})
+      deepStrictEqual(await closedKeys(), [archivedKey, cancelledKey, batchKey])
+    })
+  })
+
+  await ctx.test('catch-up reads', async (t) => {
+    const catchUpDb = await initDb()
+    const append = (entityKey, previousId = null, client = catchUpDb) => client.query(
+      'SELECT append_event($1, $2, $3, $4, $5, $6) AS event_id', [tableTennisEntity, entityKey, pingEvent, {}, nanoid(), previousId])
+      .then(({rows: [{event_id}]}) => event_id)
+    const sequences = async (sql, params) => (await catchUpDb.query(sql, params)).rows.map(({sequence}) => Number(sequence))
+
+    await t.test('concurrent appends are caught up without gaps', async () => {
+      let writing = true
+      const writers = Promise.all(['a', 'b', 'c'].map(async (entityKey) => {
+        let previousId = null
+        for (let i = 0; i < 5; i++) {
+          previousId = await catchUpDb.transaction(async (tx) => append(entityKey, await append(entityKey, previousId, tx), tx))
+        }
+      })).finally(() => writing = false)
+      const read = []
+      while (true) {
+        const finished = !writing
+        const page = await sequences('SELECT sequence FROM catch_up_events($1, 4)', [read.at(-1) ?? 0])
+        if (!page.length && finished) {
+          break
+        }
+        read.push(...page)
+      }
+      await writers
+      deepStrictEqual(read, await sequences('SELECT sequence FROM ledger ORDER BY sequence'))
+    })
+
+    await t.test('a transaction that appends nothing holds the mark back until it ends', async () => {
+      // pglite has one session, so a snapshot listing an older transaction as running stands in for another session
+      // left idle in a transaction
+      const {rows: [{idle}]} = await catchUpDb.query('SELECT pg_current_xact_id()::TEXT AS idle')
+      const [cursor] = await sequences('SELECT high_water_mark() AS sequence')
+      await append('g')
+      await append('h')
+      const {rows: [{snapshot}]} = await catchUpDb.query(
+        `SELECT format('%s:%s:%s', $1::TEXT, pg_snapshot_xmax(pg_current_snapshot()), $1::TEXT) AS snapshot`, [idle])
+      deepStrictEqual(await sequences('SELECT high_water_mark($1) AS sequence', [snapshot]), [cursor])
+      const [latest] = await sequences('SELECT max(sequence) AS sequence FROM ledger')
+      deepStrictEqual(await sequences('SELECT high_water_mark() AS sequence'), [latest], 'the reader catches up once it ends')
+    })
+
+    await t.test('catching up stops before events of transactions still running', async () => {
+      const [cursor] = await sequences('SELECT max(sequence) AS sequence FROM ledger')
+      await append('d')
+      // an event of a transaction younger than the oldest one running, as seen when other appends are in flight
+      await catchUpDb.query(`
+INSERT INTO ledger (entity, entity_key, event, data, append_key, transaction_id)
+VALUES ($1, 'e', $2, '{}', $3, (pg_current_xact_id()::TEXT::BIGINT + 1000)::TEXT::XID8)`, [tableTennisEntity, pingEvent, nanoid()])
+      await append('f')
+      const [d, ...later] = await sequences('SELECT sequence FROM replay_events_page($1, 10)', [cursor])
+      strictEqual(later.length, 2)
+      deepStrictEqual(await sequences('SELECT high_water_mark() AS sequence'), [d])
+      deepStrictEqual(await sequences('SELECT sequence FROM catch_up_events($1, 10)', [cursor]), [d])
+      deepStrictEqual(await sequences('SELECT sequence FROM catch_up_events($1, 10)', [d]), [])
+    })
+
+    await catchUpDb.close()
+  })
+
+  await ctx.test('tenants', async (t) => {
+    const tenantDb = await initDb()
+    await tenantDb.exec(`
+CREATE ROLE app;
+GRANT SELECT, INSERT ON ledger, streams TO app;
+GRANT UPDATE ON streams TO app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON snapshots, subscriptions, relays, dead_letters, encryption_keys TO app;
+GRANT SELECT ON replay_events, tenant_replay_events, closed_streams, event_types, terminal_events TO app;`)
+    const inTenant = (tenant, sql, params, role = 'postgres') => tenantDb.transaction(async (tx) => {
+      await tx.query(`SELECT set_config('event_store.tenant', $1, true), set_config('role', $2, true)`, [tenant, role])
+      return (await tx.query(sql, params)).rows
+    })
+    const append = (tenant, appendKey, previousId = null, role) => inTenant(tenant,
+      'SELECT append_event($1, $2, $3, $4, $5, $6) AS event_id', [thingEntity, thingKey, thingCreatedEvent, {}, appendKey, previousId], role)
+        .then(([{event_id}]) => event_id)
+
+    const appendKey = nanoid()
+    const acmeId = await append('acme', appendKey)
+    const globexId = await append('globex', appendKey)
+
+    await t.test('tenants can use the same entity keys and append keys', async () => {
+      strictEqual(acmeId === globexId, false)
+      strictEqual(await append('acme', appendKey), acmeId, 'repeating the append returns the tenant\'s event')
+      const {rows} = await tenantDb.query('SELECT tenant, event_count FROM streams ORDER BY tenant')
+      deepStrictEqual(rows, [{tenant: 'acme', event_count: 1}, {tenant: 'globex', event_count: 1}])
+    })
+
+    await t.test('sessions only see and append to their tenant', async () => {
+      const events = await inTenant('acme', 'SELECT event_id, tenant FROM replay_events', [], 'app')
+      deepStrictEqual(events, [{event_id: acmeId, tenant: 'acme'}])
+      deepStrictEqual(await inTenant('acme', 'SELECT head_event_id FROM streams', [], 'app'), [{head_event_id: acmeId}])
+      await rejects(() => inTenant('acme', `
+INSERT INTO ledger (tenant, entity, entity_key, event, data, append_key) VALUES ('globex', $1, $2, $3, '{}', $4)`,
+        [thingEntity, nanoid(), thingCreatedEvent, nanoid()], 'app'), {code: '42501'})
+      await rejects(() => append('acme', nanoid(), globexId, 'app'), {code: 'ES006'}, 'previous_id of another tenant')
+      await doesNotReject(() => append('acme', nanoid(), acmeId, 'app'))
+    })
+
+    await t.test('tenant replays are scoped for the tables\' owner too', async () => {
+      const {rows} = await tenantDb.query('SELECT DISTINCT tenant FROM replay_events ORDER BY tenant')
+      deepStrictEqual(rows, [{tenant: 'acme'}, {tenant: 'globex'}], 'the owner sees every tenant')
+      deepStrictEqual(await inTenant('globex', 'SELECT event_id FROM tenant_replay_events', []), [{event_id: globexId}])
+      deepStrictEqual(await inTenant('globex', 'SELECT event_id FROM tenant_replay_events_after($1)', [globexId]), [])
+      await rejects(() => inTenant('globex', 'SELECT * FROM tenant_replay_events_after($1)', [acmeId]), /does not exist/)
+    })
+
+    await t.test('the hash chain runs through every tenant', async () => {
+      await append('globex', nanoid(), globexId, 'app')
+      const {rows: [{count}]} = await tenantDb.query('SELECT count(*)::BIGINT AS count FROM ledger')
+      deepStrictEqual(await inTenant('acme', 'SELECT seal_ledger() AS sealed', [], 'app'), [{sealed: count}],
+        'a tenant\'s session seals the other tenants\' events too')
+      deepStrictEqual((await tenantDb.query('SELECT * FROM verify_ledger()')).rows, [])
+      deepStrictEqual((await tenantDb.query('SELECT * FROM check_ledger_integrity()')).rows, [])
+      await rejects(() => inTenant('acme', 'SELECT * FROM verify_ledger()', [], 'app'), {code: '42501'},
+        'a tenant\'s session cannot see the other tenants\' events through verify_ledger')
+      await tenantDb.exec('GRANT EXECUTE ON FUNCTION verify_ledger() TO app')
+      deepStrictEqual(await inTenant('acme', 'SELECT * FROM verify_ledger()', [], 'app'), [],
+        'roles granted EXECUTE verify the chain through every tenant')
+    })
+
+    await t.test('only the ledger\'s owner can restore event_ids', async () => {
+      await rejects(() => tenantDb.transaction(async (tx) => {
+        await tx.query(`SELECT set_config('event_store.tenant', 'acme', true), set_config('role', 'app', true),
+                               set_config('event_store.restore', 'on', true)`)
+        await tx.query('INSERT INTO ledger (entity, entity_key, event, data, append_key, event_id) VALUES ($1, $2, $3, $4, $5, $6)',
+          [thingEntity, nanoid(), thingCreatedEvent, {}, nanoid(), crypto.randomUUID()])
+      }), /event_id must not be directly set/)
+    })
+
+    await t.test('append conditions match the tenant\'s events', async () => {
+      const claim = (tenant) => inTenant(tenant, `
+SELECT append_event_with_condition($1, $2, $3, '{}', $4, NULL, '[{"tags": ["claim"]}]', 0, tags_in => '{claim}')`,
+        [thingEntity, nanoid(), thingCreatedEvent, nanoid()], 'app')
+      await claim('acme')
+      await doesNotReject(() => claim('globex'), 'another tenant\'s claim does not match')
+      await rejects(() => claim('acme'), {code: 'ES017'})
+    })
+
+    await t.test('snapshots, checkpoints, relays and keys belong to the tenant', async () => {
+      for (const [tenant, eventId] of [['acme', acmeId], ['globex', globexId]]) {
+        const key = crypto.getRandomValues(new Uint8Array(32))
+        await inTenant(tenant, `
+INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data) VALUES ($1, $2, $3, 1, '{}')`,
+          [thingEntity, thingKey, eventId], 'app')
+        await inTenant(tenant, 'INSERT INTO encryption_keys (entity, entity_key, key) VALUES ($1, $2, $3)',
+          [thingEntity, thingKey, key], 'app')
+        await inTenant(tenant, 'INSERT INTO subscriptions (name, last_event_id) VALUES ($1, $2)', ['projector', eventId], 'app')
+        await inTenant(tenant, 'INSERT INTO relays (name, last_sequence) VALUES ($1, 1)', ['outbox'], 'app')
+        await inTenant(tenant, 'INSERT INTO dead_letters (relay, event_id, error) VALUES ($1, $2, $3)',
+          ['outbox', eventId, 'rejected'], 'app')
+      }
+      for (const table of ['snapshots', 'encryption_keys', 'subscriptions', 'relays', 'dead_letters']) {
+        deepStrictEqual(await inTenant('acme', `SELECT tenant FROM ${table}`, [], 'app'), [{tenant: 'acme'}], table)
+      }
+      await rejects(() => inTenant('acme', `
+INSERT INTO encryption_keys (tenant, entity, entity_key, key) VALUES ('globex', $1, 'other', $2)`,
+        [thingEntity, crypto.getRandomValues(new Uint8Array(32))], 'app'), {code: '42501'})
+    })
+
+    await t.test('the client only changes its tenant\'s snapshots, checkpoints, relays and keys', async () => {
+      const adapter = postgresAdapter(tenantDb)
+      const asAcme = async (operation) => {
+        await tenantDb.query(`SELECT set_config('event_store.tenant', 'acme', false)`)
+        try {
+          return await operation()
+        } finally {
+          await tenantDb.query('RESET event_store.tenant')
+        }
+      }
+      await asAcme(async () => {
+        await adapter.deleteSnapshots(thingEntity, thingKey)
+        await adapter.shredEncryptionKey(thingEntity, thingKey)
+        await adapter.rewindSubscription('projector')
+        await adapter.recordRelayFailure('outbox', 'unreachable')
+        strictEqual((await adapter.relayState('outbox')).attempts, 1)
+        deepStrictEqual((await adapter.deadLetters('outbox')).map(({eventId}) => eventId), [acmeId])
+      })
+      const {rows} = await tenantDb.query(`
+SELECT (SELECT count(*)::INTEGER FROM snapshots)                         AS snapshots,
+       (SELECT count(*)::INTEGER FROM encryption_keys)                   AS keys,
+       (SELECT last_event_id FROM subscriptions WHERE tenant = 'globex') AS checkpoint,
+       (SELECT attempts FROM relays WHERE tenant = 'globex')             AS attempts`)
+      deepStrictEqual(rows, [{snapshots: 1, keys: 1, checkpoint: globexId, attempts: 0}])
+    })
+
+    await tenantDb.close()
+  })
+
+  await ctx.test('ledger integrity', async (t) => {
+    await t.test('every stream is an unbroken chain', async () => {
+      const {rows} = await db.query('SELECT * FROM check_ledger_integrity()')
+      deepStrictEqual(rows, [])
+    })
+
+    await t.test('reports broken chains', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'check-ledger-'))
+      try {
+        const broken = await PGlite.create(directory)
+        await loadDdl(broken)
+        await broken.exec(`
+DROP TRIGGER generate_event_id_on_append ON ledger;
+DROP TRIGGER move_stream_head ON ledger;
+DROP TRIGGER append_with_previous_id ON ledger;
+ALTER TABLE ledger DROP CONSTRAINT ledger_previous_id_key;
+ALTER TABLE ledger DROP CONSTRAINT ledger_stream_position_key;`)
+        const insert = async (entityKey, previousId, eventId = crypto.randomUUID()) => {
+          await broken.query('INSERT INTO ledger (entity, entity_key, event, data, append_key, previous_id, event_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [thingEntity, entityKey, thingCreatedEvent, {}, nanoid(), previousId, eventId])
+          return eventId
+        }
+        const a1 = await insert('a', null)
+        const a2 = await insert('a', a1)
+        const a3 = await insert('a', null)
+        const missingId = crypto.randomUUID()
+        const b1 = await insert('b', missingId)
+        await insert('c', null)
+        const c2 = await insert('c', a2)
+        const d2 = crypto.randomUUID()
+        const d1 = await insert('d', d2)
+        await insert('d', null, d2)
+        const a4 = await insert('a', a1)
+        await broken.close()
+
+        const {status, stdout} = spawnSync(process.execPath, ['check-ledger.js', 'pglite', directory], {encoding: 'utf8'})
+        const report = JSON.parse(stdout)
+        strictEqual(status, 1)
+        strictEqual(report.ok, false)
+        deepStrictEqual(report.violations, [
+          {violation: 'multiple_first_events', entity: thingEntity, entityKey: 'a', eventId: a3, previousId: null, sequence: 3},
+          {violation: 'missing_first_event', entity: thingEntity, entityKey: 'b', eventId: null, previousId: null, sequence: 4},
+          {violation: 'orphan', entity: thingEntity, entityKey: 'b', eventId: b1, previousId: missingId, sequence: 4},
+          {violation: 'foreign_previous_id', entity: thingEntity, entityKey: 'c', eventId: c2, previousId: a2, sequence: 6},
+          {violation: 'previous_id_not_earlier', entity: thingEntity, entityKey: 'd', eventId: d1, previousId: d2, sequence: 7},
+          {violation: 'fork', entity: thingEntity, entityKey: 'a', eventId: a4, previousId: a1, sequence: 9}
+        ])
+        strictEqual(report.brokenLink.sequence, 7, 'd1 was hashed before its previous_id event existed')
+      } finally {
+        fs.rmSync(directory, {recursive: true})
+      }
+    })
   })
 })
@@ -1,10 +1,11 @@
-import { rejects, doesNotReject, strictEqual } from 'node:assert/strict'
+import { ok, rejects, doesNotReject, strictEqual, deepStrictEqual } from 'node:assert/strict'
 import { before, after, test } from 'node:test'
 import fs from 'fs'
 import { execSync } from 'child_process'
 import { join } from 'path'
 import sql from 'mssql'
 import { nanoid } from 'nanoid'
+import { sqlServerAdapter } from './client/index.js'
 
 
 const thingEntity = 'thing'
@@ -15,6 +16,12 @@ const tableTennisEntity = 'table-tennis'
 const pingEvent = 'ball-pinged'
 const pongEvent = 'ball-ponged'
 
+const orderEntity = 'order'
+const orderPlacedEvent = 'order-placed'
+const itemAddedEvent = 'item-added'
+const orderArchivedEvent = 'order-archived'
+const orderCancelledEvent = 'order-cancelled'
+
 const thingKey = '1'
 const homeTableKey = 'home'
 const workTableKey = 'work'
@@ -100,7 +107,7 @@ async function initDb() {
 
 async function cleanDatabase(pool) {
   try {
-    await pool.request().query('TRUNCATE TABLE ledger')
+    await pool.request().query('TRUNCATE TABLE ledger; TRUNCATE TABLE streams')
   } catch (err) {
     if (!err.message.includes('Invalid object name') && 
         !err.message.includes('does not exist')) {
@@ -409,6 +416,22 @@ test('T-SQL', async (ctx) => {
         'previous ID must be newest event in entity')
     })
 
+    await t.test('previous_id rules raise stable error numbers', async () => {
+      const append = (entity, entityKey, previousId) => pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('event', sql.NVarChar, pingEvent)
+        .input('data', sql.NVarChar, data)
+        .input('append_key', sql.NVarChar, nanoid())
+        .input('previous_id', sql.UniqueIdentifier, previousId)
+        .output('event_id', sql.UniqueIdentifier)
+        .execute('append_event')
+
+      await rejects(() => append(tableTennisEntity, homeTableKey, null), { number: 50005 }, 'first event error number')
+      await rejects(() => append(tableTennisEntity, workTableKey, pingEventHomeId), { number: 50006 }, 'same entity error number')
+      await rejects(() => append(thingEntity, thingKey, thingEventId1), { number: 50007 }, 'newest event error number')
+    })
+
     await t.test('Cannot insert duplicates', async () => {
       await rejects(
         async () => {
@@ -422,7 +445,7 @@ test('T-SQL', async (ctx) => {
           request.output('event_id', sql.UniqueIdentifier)
           await request.execute('append_event')
         },
-        /Violation of UNIQUE KEY constraint/,
+        /append key reused with different content/,
         'cannot insert different event for same append_key')
 
       await rejects(
@@ -496,6 +519,795 @@ test('T-SQL', async (ctx) => {
       strictEqual(result.recordset.length, 1, 'should have one event')
       strictEqual(result.recordset[0].sequence > 0, true, 'sequence should be positive')
     })
+
+    await t.test('page through events by sequence', async () => {
+      const page = async (cursor, entity = null) => (await pool.request()
+        .input('after_sequence', sql.BigInt, cursor)
+        .input('entity', sql.NVarChar, entity)
+        .query(`SELECT * FROM replay_events_page(@after_sequence, 2, @entity, DEFAULT) ORDER BY sequence`)).recordset
+      const first = await page(0)
+      strictEqual(first.length, 2, 'should have a full first page')
+      const second = await page(first.at(-1).sequence)
+      strictEqual(second.length > 0 && Number(second[0].sequence) > Number(first[1].sequence), true, 'should continue after the cursor')
+      deepStrictEqual((await page(0, thingEntity)).map(row => row.entity), [thingEntity, thingEntity], 'should filter by entity')
+    })
+
+    await t.test('replay events until a sequence', async () => {
+      const result = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, thingEventId1)
+        .input('entity', sql.NVarChar, thingEntity)
+        .query(`
+DECLARE @until_sequence BIGINT = (SELECT sequence FROM ledger WHERE event_id = @event_id);
+SELECT * FROM replay_events_until(@until_sequence) WHERE entity = @entity ORDER BY sequence`)
+      strictEqual(result.recordset.length, 1, 'should have the first event only')
+    })
+
+    await t.test('replay events as of a time', async () => {
+      const asOf = async (timestamp) => (await pool.request()
+        .input('as_of', sql.DateTimeOffset, timestamp)
+        .input('entity', sql.NVarChar, thingEntity)
+        .query('SELECT * FROM replay_events_as_of(@as_of) WHERE entity = @entity ORDER BY sequence')).recordset
+      strictEqual((await asOf(new Date())).length, 2, 'should have both events now')
+      strictEqual((await asOf(new Date('2000-01-01T00:00:00Z'))).length, 0, 'should have no events before the first')
+    })
+
+    await t.test('head as of a time', async () => {
+      const headAsOf = async (timestamp) => (await pool.request()
+        .input('entity', sql.NVarChar, thingEntity)
+        .input('entity_key', sql.NVarChar, thingKey)
+        .input('as_of', sql.DateTimeOffset, timestamp)
+        .query('SELECT event_id FROM head_as_of(@entity, @entity_key, @as_of)')).recordset
+      strictEqual((await headAsOf(new Date()))[0].event_id.toLowerCase(), thingEventId2.toLowerCase())
+      strictEqual((await headAsOf(new Date('2000-01-01T00:00:00Z'))).length, 0, 'should have no head before the first event')
+    })
   })
-})
 
+  await ctx.test('append event batches', async (t) => {
+    const orderKey = nanoid()
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+    const appendBatch = (previousId, events) => pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .input('entity_key', sql.NVarChar, orderKey)
+      .input('previous_id', sql.UniqueIdentifier, previousId)
+      .input('events', sql.NVarChar, events)
+      .execute('append_events')
+
+    let orderEventIds
+
+    await t.test('insert a batch of events for an entity', async () => {
+      await doesNotReject(async () => {
+        const result = await appendBatch(null, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent))
+        orderEventIds = result.recordset.map(r => r.event_id.toString())
+      })
+      strictEqual(orderEventIds.length, 3, 'should return three event ids')
+
+      const result = await pool.request()
+        .input('entity_key', sql.NVarChar, orderKey)
+        .query(`
+          SELECT CAST(previous_id AS NVARCHAR(36)) AS previous_id, CAST(event_id AS NVARCHAR(36)) AS event_id
+          FROM ledger
+          WHERE entity_key = @entity_key
+          ORDER BY sequence`)
+      deepStrictEqual(result.recordset, [
+        {previous_id: null, event_id: orderEventIds[0]},
+        {previous_id: orderEventIds[0], event_id: orderEventIds[1]},
+        {previous_id: orderEventIds[1], event_id: orderEventIds[2]}
+      ], 'each event should follow the one before it')
+    })
+
+    await t.test('batches follow previous_id rules', async () => {
+      await rejects(
+        () => appendBatch(null, batch(orderPlacedEvent)),
+        /previous_id can only be null for first entity event/,
+        'cannot insert a first-event batch into an existing entity')
+      await rejects(
+        () => appendBatch(orderEventIds[1], batch(itemAddedEvent)),
+        /previous_id must reference the newest event in entity/,
+        'batch previous ID must be newest event in entity')
+      await rejects(
+        () => appendBatch(null, '[]'),
+        /events must contain at least one event/,
+        'cannot insert an empty batch')
+    })
+
+    await t.test('batches are atomic', async () => {
+      const events = JSON.parse(batch(itemAddedEvent, itemAddedEvent))
+      events[1].append_key = events[0].append_key
+      await rejects(
+        () => appendBatch(orderEventIds[2], JSON.stringify(events)),
+        /Violation of UNIQUE KEY constraint/,
+        'cannot insert duplicate append keys in a batch')
+
+      const result = await pool.request()
+        .input('entity_key', sql.NVarChar, orderKey)
+        .query('SELECT COUNT(*) AS count FROM ledger WHERE entity_key = @entity_key')
+      strictEqual(result.recordset[0].count, 3, 'failed batch should not append any events')
+    })
+  })
+
+  await ctx.test('idempotent appends', async (t) => {
+    const entityKey = nanoid()
+    const appendKey = nanoid()
+    const append = (key, data, previousId) => pool.request()
+      .input('entity', sql.NVarChar, thingEntity)
+      .input('entity_key', sql.NVarChar, key)
+      .input('event', sql.NVarChar, thingCreatedEvent)
+      .input('data', sql.NVarChar, data)
+      .input('append_key', sql.NVarChar, appendKey)
+      .input('previous_id', sql.UniqueIdentifier, previousId)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')
+    const appendBatch = (previousId, events) => pool.request()
+      .input('entity', sql.NVarChar, thingEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('previous_id', sql.UniqueIdentifier, previousId)
+      .input('events', sql.NVarChar, events)
+      .execute('append_events')
+    const ledgerSize = async () => (await pool.request().query('SELECT COUNT(*) AS count FROM ledger')).recordset[0].count
+
+    let eventId
+
+    await t.test('repeating an append returns the original event_id', async () => {
+      eventId = (await append(entityKey, '{"value":1}', null)).output.event_id
+      const size = await ledgerSize()
+      const retriedId = (await append(entityKey, '{"value":1}', null)).output.event_id
+      strictEqual(retriedId, eventId, 'retry should return the original event_id')
+      strictEqual(await ledgerSize(), size, 'retry should not append another event')
+    })
+
+    await t.test('reusing an append_key with different content is rejected', async () => {
+      await rejects(() => append(entityKey, '{"value":2}', null), { number: 50004 }, 'different data')
+      await rejects(() => append(homeTableKey, '{"value":1}', null), /append key reused with different content/, 'different entity key')
+    })
+
+    await t.test('repeating a batch returns the original event_ids', async () => {
+      const events = JSON.stringify([
+        { event: thingDeletedEvent, data: {}, append_key: nanoid() },
+        { event: thingDeletedEvent, data: {}, append_key: nanoid() }
+      ])
+      const eventIds = (await appendBatch(eventId, events)).recordset.map(r => r.event_id)
+      const size = await ledgerSize()
+      const retriedIds = (await appendBatch(eventId, events)).recordset.map(r => r.event_id)
+      deepStrictEqual(retriedIds, eventIds, 'retry should return the original event_ids')
+      strictEqual(await ledgerSize(), size, 'retry should not append more events')
+
+      await rejects(
+        () => appendBatch(eventId, JSON.stringify(JSON.parse(events).reverse())),
+        { number: 50004 },
+        'batch with events in a different order')
+
+      const extended = [...JSON.parse(events), { event: thingDeletedEvent, data: {}, append_key: nanoid() }]
+      const extendedIds = (await appendBatch(eventId, JSON.stringify(extended))).recordset.map(r => r.event_id)
+      deepStrictEqual(extendedIds.slice(0, 2), eventIds, 'repeated events keep their event_ids')
+      strictEqual(await ledgerSize(), size + 1, 'only the new event should be appended')
+    })
+  })
+
+  await ctx.test('schema versions', async (t) => {
+    const append = (entityKey, appendKey, version) => pool.request()
+      .input('entity', sql.NVarChar, thingEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('event', sql.NVarChar, thingCreatedEvent)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, appendKey)
+      .input('previous_id', sql.UniqueIdentifier, null)
+      .input('schema_version', sql.Int, version)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')
+    const versionOf = async (eventId) => (await pool.request()
+      .input('event_id', sql.UniqueIdentifier, eventId)
+      .query('SELECT schema_version FROM replay_events WHERE event_id = @event_id')).recordset[0].schema_version
+
+    await t.test('events are version 1 unless given', async () => {
+      const { output: { event_id } } = await pool.request()
+        .input('entity', sql.NVarChar, thingEntity)
+        .input('entity_key', sql.NVarChar, nanoid())
+        .input('event', sql.NVarChar, thingCreatedEvent)
+        .input('data', sql.NVarChar, '{}')
+        .input('append_key', sql.NVarChar, nanoid())
+        .input('previous_id', sql.UniqueIdentifier, null)
+        .output('event_id', sql.UniqueIdentifier)
+        .execute('append_event')
+      strictEqual(await versionOf(event_id), 1)
+    })
+
+    await t.test('appends and batches record the version', async () => {
+      strictEqual(await versionOf((await append(nanoid(), nanoid(), 3)).output.event_id), 3)
+
+      const { recordset: [{ event_id }] } = await pool.request()
+        .input('entity', sql.NVarChar, thingEntity)
+        .input('entity_key', sql.NVarChar, nanoid())
+        .input('previous_id', sql.UniqueIdentifier, null)
+        .input('events', sql.NVarChar, JSON.stringify([{ event: thingCreatedEvent, data: {}, schema_version: 2, append_key: nanoid() }]))
+        .execute('append_events')
+      strictEqual(await versionOf(event_id), 2)
+    })
+
+    await t.test('reusing an append_key with a different version is rejected', async () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      await append(entityKey, appendKey, 1)
+      await rejects(() => append(entityKey, appendKey, 2), { number: 50004 })
+    })
+  })
+
+  await ctx.test('causation', async (t) => {
+    const append = async (entity, entityKey, appendKey, metadata, correlationId, causationId) => (await pool.request()
+      .input('entity', sql.NVarChar, entity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('event', sql.NVarChar, thingCreatedEvent)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, appendKey)
+      .input('previous_id', sql.UniqueIdentifier, null)
+      .input('metadata', sql.NVarChar, metadata)
+      .input('correlation_id', sql.NVarChar, correlationId)
+      .input('causation_id', sql.UniqueIdentifier, causationId)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')).output.event_id
+    const correlationId = nanoid()
+    let causeId
+    let effectId
+
+    await t.test('appends record metadata, correlation and causation', async () => {
+      causeId = await append(thingEntity, nanoid(), nanoid(), '{"user":"ada"}', correlationId, null)
+      effectId = await append(orderEntity, nanoid(), nanoid(), null, correlationId, causeId)
+      const { recordset: [effect] } = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, effectId)
+        .query('SELECT metadata, causation_id FROM replay_events WHERE event_id = @event_id')
+      deepStrictEqual(effect, { metadata: null, causation_id: causeId })
+      const { recordset: [{ count }] } = await pool.request()
+        .input('correlation_id', sql.NVarChar, correlationId)
+        .query('SELECT COUNT(*) AS count FROM ledger WHERE correlation_id = @correlation_id')
+      strictEqual(count, 2)
+    })
+
+    await t.test('causation_id must reference an existing event', async () => {
+      await rejects(() => append(thingEntity, nanoid(), nanoid(), null, null, crypto.randomUUID()), { number: 50014 })
+    })
+
+    await t.test('causal_chain walks causes and effects', async () => {
+      const { recordset } = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, effectId)
+        .query('SELECT event_id, depth FROM causal_chain(@event_id) ORDER BY sequence OPTION (MAXRECURSION 0)')
+      deepStrictEqual(recordset, [{ event_id: causeId, depth: -1 }, { event_id: effectId, depth: 0 }])
+    })
+
+    await t.test('reusing an append_key with different metadata is rejected', async () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      const eventId = await append(thingEntity, entityKey, appendKey, '{"a":1}', null, null)
+      strictEqual(await append(thingEntity, entityKey, appendKey, '{"a":1}', null, null), eventId)
+      await rejects(() => append(thingEntity, entityKey, appendKey, '{"a":2}', null, null), { number: 50004 })
+    })
+  })
+
+  await ctx.test('expected versions', async (t) => {
+    const entityKey = nanoid()
+    const append = async (expectedVersion, appendKey = nanoid(), key = entityKey) => (await pool.request()
+      .input('entity', sql.NVarChar, thingEntity)
+      .input('entity_key', sql.NVarChar, key)
+      .input('event', sql.NVarChar, thingCreatedEvent)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, appendKey)
+      .input('expected_version', sql.Int, expectedVersion)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event_at_version')).output.event_id
+    const positions = async () => (await pool.request()
+      .input('entity_key', sql.NVarChar, entityKey)
+      .query('SELECT stream_position FROM replay_events WHERE entity_key = @entity_key ORDER BY sequence')).recordset
+      .map(row => row.stream_position)
+
+    await t.test('appends follow the expected version', async () => {
+      const appendKey = nanoid()
+      const eventId = await append(0, appendKey)
+      await append(1)
+      await append(-1)
+      await append(null)
+      deepStrictEqual(await positions(), [1, 2, 3, 4])
+      strictEqual(await append(0, appendKey), eventId, 'repeated appends keep their original event')
+    })
+
+    await t.test('batches are numbered in order', async () => {
+      const { recordset: [{ event_id: previousId }] } = await pool.request()
+        .input('entity_key', sql.NVarChar, entityKey)
+        .query('SELECT event_id FROM ledger WHERE entity_key = @entity_key AND stream_position = 4')
+      await pool.request()
+        .input('entity', sql.NVarChar, thingEntity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('previous_id', sql.UniqueIdentifier, previousId)
+        .input('events', sql.NVarChar, JSON.stringify([
+          { event: thingCreatedEvent, data: {}, append_key: nanoid() },
+          { event: thingCreatedEvent, data: {}, append_key: nanoid() }
+        ]))
+        .execute('append_events')
+      deepStrictEqual(await positions(), [1, 2, 3, 4, 5, 6])
+    })
+
+    await t.test('other versions are rejected', async () => {
+      await rejects(() => append(5), { number: 50015 })
+      await rejects(() => append(0), { number: 50015 })
+      await rejects(() => append(-1, nanoid(), nanoid()), { number: 50015 })
+    })
+  })
+
+  await ctx.test('snapshots', async (t) => {
+    const orderKey = nanoid()
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+    const saveSnapshot = (entityKey, eventId, version, data) => pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('event_id', sql.UniqueIdentifier, eventId)
+      .input('schema_version', sql.Int, version)
+      .input('data', sql.NVarChar, data)
+      .query('INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data) VALUES (@entity, @entity_key, @event_id, @schema_version, @data)')
+    const replay = async () => (await pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .input('entity_key', sql.NVarChar, orderKey)
+      .query(`
+        SELECT event, CAST(data AS NVARCHAR(MAX)) AS data, CAST(event_id AS NVARCHAR(36)) AS event_id, snapshot_version
+        FROM replay_events_from_snapshot(@entity, @entity_key)
+        ORDER BY sequence`)).recordset
+
+    const result = await pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .input('entity_key', sql.NVarChar, orderKey)
+      .input('previous_id', sql.UniqueIdentifier, null)
+      .input('events', sql.NVarChar, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent))
+      .execute('append_events')
+    const orderEventIds = result.recordset.map(r => r.event_id.toString())
+
+    await t.test('replay without a snapshot returns every event', async () => {
+      deepStrictEqual((await replay()).map(({event_id, snapshot_version}) => [event_id, snapshot_version]), orderEventIds.map(id => [id, null]))
+    })
+
+    await t.test('replay starts from the latest snapshot', async () => {
+      await saveSnapshot(orderKey, orderEventIds[0], 1, '{"items":0}')
+      await saveSnapshot(orderKey, orderEventIds[1], 1, '{"items":1}')
+      deepStrictEqual(await replay(), [
+        {event: null, data: '{"items":1}', event_id: orderEventIds[1], snapshot_version: 1},
+        {event: itemAddedEvent, data: '{}', event_id: orderEventIds[2], snapshot_version: null}
+      ])
+    })
+
+    await t.test('snapshots can be replaced and deleted', async () => {
+      const updated = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, orderEventIds[1])
+        .query(`UPDATE snapshots SET schema_version = 2, data = '{"items":[1]}' WHERE event_id = @event_id`)
+      strictEqual(updated.rowsAffected[0], 1, 'snapshot should be updated')
+      strictEqual((await replay())[0].snapshot_version, 2)
+
+      const deleted = await pool.request()
+        .input('entity_key', sql.NVarChar, orderKey)
+        .query('DELETE FROM snapshots WHERE entity_key = @entity_key')
+      strictEqual(deleted.rowsAffected[0], 2, 'snapshots should be deleted')
+      strictEqual((await replay()).length, 3, 'replay should start from the first event again')
+    })
+
+    await t.test('snapshots must cover an event of their entity', async () => {
+      await rejects(() => saveSnapshot('other', orderEventIds[0], 1, '{}'), { number: 50009 }, 'event of another entity')
+      await rejects(() => saveSnapshot(orderKey, crypto.randomUUID(), 1, '{}'), /snapshot event_id must be in the same entity/, 'unknown event')
+    })
+  })
+
+  await ctx.test('event type registry', async (t) => {
+    const invoiceEntity = 'invoice'
+    const invoiceIssuedEvent = 'invoice-issued'
+    const register = (version, schema) => pool.request()
+      .input('entity', sql.NVarChar, invoiceEntity)
+      .input('event', sql.NVarChar, invoiceIssuedEvent)
+      .input('schema_version', sql.Int, version)
+      .input('schema', sql.NVarChar, schema)
+      .query('INSERT INTO event_types (entity, event, schema_version, [schema]) VALUES (@entity, @event, @schema_version, @schema)')
+    const append = (event) => pool.request()
+      .input('entity', sql.NVarChar, invoiceEntity)
+      .input('entity_key', sql.NVarChar, nanoid())
+      .input('event', sql.NVarChar, event)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, nanoid())
+      .input('previous_id', sql.UniqueIdentifier, null)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')
+
+    await t.test('entities without registrations accept any event', async () => {
+      await doesNotReject(() => append('invoice-craeted'))
+    })
+
+    await t.test('registered entities only accept registered events', async () => {
+      await register(1, '{"type":"object"}')
+      await doesNotReject(() => append(invoiceIssuedEvent))
+      await rejects(() => append('invoice-craeted'), { number: 50010 }, 'unregistered event')
+    })
+
+    await t.test('batches only accept registered events', async () => {
+      const events = JSON.stringify([
+        { event: invoiceIssuedEvent, data: {}, append_key: nanoid() },
+        { event: 'invoice-craeted', data: {}, append_key: nanoid() }
+      ])
+      await rejects(
+        () => pool.request()
+          .input('entity', sql.NVarChar, invoiceEntity)
+          .input('entity_key', sql.NVarChar, nanoid())
+          .input('previous_id', sql.UniqueIdentifier, null)
+          .input('events', sql.NVarChar, events)
+          .execute('append_events'),
+        /event is not registered for the entity/)
+    })
+
+    await t.test('registrations are append-only', async () => {
+      await doesNotReject(() => register(2, '{"type":"object","required":["total"]}'))
+      await rejects(() => register(2, '{}'), /PRIMARY KEY/, 'cannot register the same version twice')
+      await rejects(() => pool.request().query('DELETE FROM event_types'), { number: 50011 })
+      await rejects(() => pool.request().query(`UPDATE event_types SET [schema] = '{}'`), { number: 50012 })
+    })
+  })
+
+  await ctx.test('encryption keys', async (t) => {
+    const insertKey = (entityKey) => pool.request()
+      .input('entity', sql.NVarChar, thingEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .query('INSERT INTO encryption_keys (entity, entity_key, [key]) VALUES (@entity, @entity_key, CRYPT_GEN_RANDOM(32))')
+
+    await t.test('keys can be deleted', async () => {
+      await insertKey('shredded')
+      const result = await pool.request().query(`DELETE FROM encryption_keys WHERE entity_key = 'shredded'`)
+      strictEqual(result.rowsAffected[0], 1, 'key should be deleted')
+    })
+
+    await t.test('keys cannot be replaced', async () => {
+      await insertKey('kept')
+      await rejects(
+        () => pool.request().query(`UPDATE encryption_keys SET [key] = CRYPT_GEN_RANDOM(32) WHERE entity_key = 'kept'`),
+        { number: 50013 })
+      await rejects(() => insertKey('kept'), /PRIMARY KEY/, 'one key per entity instance')
+    })
+  })
+
+  await ctx.test('hash chain', async (t) => {
+    const seal = async () => {
+      const { output } = await pool.request().output('sealed', sql.BigInt).execute('seal_ledger')
+      return Number(output.sealed)
+    }
+
+    await t.test('every event is hashed', async () => {
+      const result = await pool.request().query('SELECT * FROM verify_ledger()')
+      deepStrictEqual(result.recordset, [])
+    })
+
+    await t.test('seal_ledger chains the committed events in sequence order', async () => {
+      const { recordset: [{ count }] } = await pool.request().query('SELECT COUNT(*) AS count FROM ledger')
+      strictEqual(await seal(), count)
+      strictEqual(await seal(), 0, 'sealed events are not sealed again')
+      deepStrictEqual((await pool.request().query('SELECT * FROM verify_ledger()')).recordset, [])
+    })
+
+    // tampers in a transaction that is rolled back, so the ledger stays intact for the tests after
+    const whileTampered = async (tamper) => {
+      const transaction = new sql.Transaction(pool)
+      await transaction.begin()
+      try {
+        await new sql.Request(transaction).query('DISABLE TRIGGER no_update_ledger ON ledger')
+        await tamper(new sql.Request(transaction))
+        const { recordset: [broken] } = await new sql.Request(transaction).query('SELECT * FROM verify_ledger()')
+        return broken
+      } finally {
+        await transaction.rollback()
+      }
+    }
+
+    await t.test('detects changed events', async () => {
+      const { recordset: [{ sequence }] } = await pool.request().query('SELECT MAX(sequence) AS sequence FROM ledger')
+      const broken = await whileTampered((request) => request
+        .input('sequence', sql.BigInt, sequence)
+        .query(`UPDATE ledger SET data = '{"forged":true}' WHERE sequence = @sequence`))
+      strictEqual(Number(broken.sequence), Number(sequence))
+      strictEqual(broken.hash === broken.expected_hash, false)
+    })
+
+    await t.test('detects sealed events whose hash was recomputed', async () => {
+      const { recordset: [{ sequence }] } = await pool.request().query('SELECT MAX(sequence) AS sequence FROM ledger_chain')
+      const broken = await whileTampered((request) => request
+        .input('sequence', sql.BigInt, sequence)
+        .query(`
+UPDATE l
+SET data = '{"forged":true}',
+    hash = dbo.event_hash(l.tenant, l.entity, l.entity_key, l.event, N'{"forged":true}', l.append_key, l.previous_id,
+                          l.event_id, l.timestamp, l.schema_version, CAST(l.metadata AS NVARCHAR(MAX)),
+                          l.correlation_id, l.causation_id, l.terminal, p.hash)
+FROM ledger l
+LEFT JOIN ledger p ON p.event_id = l.previous_id
+WHERE l.sequence = @sequence`))
+      strictEqual(Number(broken.sequence), Number(sequence))
+      strictEqual(broken.hash === broken.expected_hash, false)
+    })
+  })
+
+  await ctx.test('restore_event requires restore mode', async () => {
+    await rejects(
+      () => pool.request()
+        .input('entity', sql.NVarChar, thingEntity)
+        .input('entity_key', sql.NVarChar, nanoid())
+        .input('event', sql.NVarChar, thingCreatedEvent)
+        .input('data', sql.NVarChar, '{}')
+        .input('append_key', sql.NVarChar, nanoid())
+        .input('previous_id', sql.UniqueIdentifier, null)
+        .input('event_id', sql.UniqueIdentifier, crypto.randomUUID())
+        .input('timestamp', sql.DateTimeOffset, new Date())
+        .execute('restore_event'),
+      { number: 50003 })
+  })
+
+  await ctx.test('failed imports leave restore mode', async () => {
+    // one connection, so the import and the check share it
+    const single = await new sql.ConnectionPool({ ...config, pool: { max: 1, min: 0 } }).connect()
+    try {
+      const adapter = sqlServerAdapter(single)
+      const restored = {
+        entity: thingEntity, entityKey: nanoid(), event: thingCreatedEvent, data: '{}', version: 1, metadata: null,
+        correlationId: null, causationId: null, appendKey: nanoid(), previousId: crypto.randomUUID(),
+        eventId: crypto.randomUUID(), timestamp: new Date(), terminal: false, tags: []
+      }
+      await rejects(() => adapter.importEvents([restored]), (err) => adapter.errorCode(err) === 'ES006')
+      const { recordset: [{ restore }] } = await single.request().query(`SELECT SESSION_CONTEXT(N'restore_ledger') AS restore`)
+      strictEqual(restore, null)
+    } finally {
+      await single.close()
+    }
+  })
+
+  await ctx.test('stream heads', async (t) => {
+    const rows = async (sql) => (await pool.request().query(sql)).recordset.map(row => Object.values(row))
+    const heads = () => rows('SELECT entity, entity_key, head_event_id, event_count, last_sequence FROM streams ORDER BY entity, entity_key')
+
+    await t.test('streams hold the newest event of every entity instance', async () => {
+      deepStrictEqual(await heads(), await rows(`
+SELECT entity, entity_key, event_id, stream_position, sequence
+FROM ledger l
+WHERE sequence = (SELECT MAX(sequence) FROM ledger WHERE entity = l.entity AND entity_key = l.entity_key)
+ORDER BY entity, entity_key`))
+    })
+
+    await t.test('rejected appends leave the heads where they were', async () => {
+      const original = await heads()
+      const [entity, entityKey, headEventId] = original.find(([entity, entityKey]) => entity === thingEntity && entityKey === thingKey)
+      const {recordset: [{previous_id: previousId}]} = await pool.request()
+        .input('event_id', sql.UniqueIdentifier, headEventId)
+        .query('SELECT previous_id FROM ledger WHERE event_id = @event_id')
+      const append = (previousId) => pool.request()
+        .input('entity', sql.NVarChar, entity)
+        .input('entity_key', sql.NVarChar, entityKey)
+        .input('event', sql.NVarChar, thingCreatedEvent)
+        .input('data', sql.NVarChar, '{}')
+        .input('append_key', sql.NVarChar, nanoid())
+        .input('previous_id', sql.UniqueIdentifier, previousId)
+        .output('event_id', sql.UniqueIdentifier)
+        .execute('append_event')
+      await rejects(append(null), { number: 50005 })
+      await rejects(append(previousId), { number: 50007 })
+      deepStrictEqual(await heads(), original)
+    })
+  })
+
+  await ctx.test('terminal events', async (t) => {
+    const append = async (entityKey, event, previousId, terminal = false) => (await pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('event', sql.NVarChar, event)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, nanoid())
+      .input('previous_id', sql.UniqueIdentifier, previousId)
+      .input('terminal', sql.Bit, terminal)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')).output.event_id
+    const closedKeys = async () => (await pool.request()
+      .input('entity', sql.NVarChar, orderEntity)
+      .query('SELECT entity_key FROM closed_streams WHERE entity = @entity ORDER BY sequence')).recordset
+      .map(({ entity_key }) => entity_key)
+    const archivedKey = nanoid()
+    const cancelledKey = nanoid()
+    const batchKey = nanoid()
+
+    await t.test('a terminal append closes the entity', async () => {
+      const placedId = await append(archivedKey, orderPlacedEvent, null)
+      const archivedId = await append(archivedKey, orderArchivedEvent, placedId, true)
+      await rejects(() => append(archivedKey, itemAddedEvent, archivedId), { number: 50016, message: 'entity is closed by a terminal event' })
+      await rejects(() => append(archivedKey, itemAddedEvent, null), { number: 50016 }, 'whatever the previous_id')
+      await rejects(() => pool.request()
+        .input('entity', sql.NVarChar, orderEntity)
+        .input('entity_key', sql.NVarChar, archivedKey)
+        .input('event', sql.NVarChar, itemAddedEvent)
+        .input('data', sql.NVarChar, '{}')
+        .input('append_key', sql.NVarChar, nanoid())
+        .input('expected_version', sql.Int, 2)
+        .output('event_id', sql.UniqueIdentifier)
+        .execute('append_event_at_version'), { number: 50016 })
+      deepStrictEqual(await closedKeys(), [archivedKey])
+    })
+
+    await t.test('registered terminal events close the entity', async () => {
+      await pool.request()
+        .input('entity', sql.NVarChar, orderEntity)
+        .input('event', sql.NVarChar, orderCancelledEvent)
+        .query('INSERT INTO terminal_events (entity, event) VALUES (@entity, @event)')
+      const placedId = await append(cancelledKey, orderPlacedEvent, null)
+      const cancelledId = await append(cancelledKey, orderCancelledEvent, placedId)
+      await rejects(() => append(cancelledKey, itemAddedEvent, cancelledId), { number: 50016 })
+      const { recordset } = await pool.request()
+        .input('entity_key', sql.NVarChar, cancelledKey)
+        .query('SELECT event, terminal FROM ledger WHERE entity_key = @entity_key ORDER BY sequence')
+      deepStrictEqual(recordset, [{ event: orderPlacedEvent, terminal: false }, { event: orderCancelledEvent, terminal: true }])
+      deepStrictEqual(await closedKeys(), [archivedKey, cancelledKey])
+    })
+
+    await t.test('batches cannot continue after a terminal event', async () => {
+      const batch = (...events) => pool.request()
+        .input('entity', sql.NVarChar, orderEntity)
+        .input('entity_key', sql.NVarChar, batchKey)
+        .input('previous_id', sql.UniqueIdentifier, null)
+        .input('events', sql.NVarChar, JSON.stringify(events.map(event => ({ data: {}, append_key: nanoid(), ...event }))))
+        .execute('append_events')
+      await rejects(() => batch({ event: orderPlacedEvent, terminal: true }, { event: itemAddedEvent }), { number: 50016 })
+      const { recordset: [{ count }] } = await pool.request()
+        .input('entity_key', sql.NVarChar, batchKey)
+        .query('SELECT COUNT(*) AS count FROM ledger WHERE entity_key = @entity_key')
+      strictEqual(count, 0, 'the batch is rolled back')
+      await batch({ event: orderPlacedEvent }, { event: orderArchivedEvent, terminal: true })
+      deepStrictEqual(await closedKeys(), [archivedKey, cancelledKey, batchKey])
+    })
+  })
+
+  await ctx.test('catch-up reads', async (t) => {
+    const append = (entityKey, previousId = null) => pool.request()
+      .input('entity', sql.NVarChar, tableTennisEntity)
+      .input('entity_key', sql.NVarChar, entityKey)
+      .input('event', sql.NVarChar, pingEvent)
+      .input('data', sql.NVarChar, '{}')
+      .input('append_key', sql.NVarChar, nanoid())
+      .input('previous_id', sql.UniqueIdentifier, previousId)
+      .output('event_id', sql.UniqueIdentifier)
+      .execute('append_event')
+      .then(({ output }) => output.event_id)
+    const sequences = async (query, cursor = 0) => (await pool.request()
+      .input('after_sequence', sql.BigInt, cursor)
+      .query(query)).recordset.map(({ sequence }) => Number(sequence))
+    const [cursor] = await sequences('SELECT COALESCE(MAX(sequence), 0) AS sequence FROM ledger')
+
+    await t.test('concurrent appends are caught up without gaps', async () => {
+      let writing = true
+      const writers = Promise.all([nanoid(), nanoid(), nanoid()].map(async (entityKey) => {
+        let previousId = null
+        for (let i = 0; i < 10; i++) {
+          previousId = await append(entityKey, previousId)
+        }
+      })).finally(() => writing = false)
+      const read = []
+      while (true) {
+        const finished = !writing
+        const page = await sequences('SELECT sequence FROM catch_up_events(@after_sequence, 4, DEFAULT, DEFAULT) ORDER BY sequence',
+          read.at(-1) ?? cursor)
+        if (!page.length && finished) {
+          break
+        }
+        read.push(...page)
+      }
+      await writers
+      deepStrictEqual(read, await sequences('SELECT sequence FROM ledger WHERE sequence > @after_sequence ORDER BY sequence', cursor))
+    })
+
+    await t.test('the high-water mark is the newest event when no append is in flight', async () => {
+      deepStrictEqual(await sequences('SELECT dbo.high_water_mark() AS sequence'),
+        await sequences('SELECT MAX(sequence) AS sequence FROM ledger'))
+    })
+  })
+
+  await ctx.test('tenants', async (t) => {
+    const password = 'TenantApp!2025'
+    await pool.request().query(`
+CREATE LOGIN tenant_app WITH PASSWORD = '${password}';
+CREATE USER tenant_app FOR LOGIN tenant_app;
+GRANT EXECUTE, SELECT TO tenant_app;
+GRANT INSERT, UPDATE, DELETE ON snapshots TO tenant_app;
+GRANT INSERT, UPDATE, DELETE ON subscriptions TO tenant_app;
+GRANT INSERT, UPDATE, DELETE ON relays TO tenant_app;
+GRANT INSERT, UPDATE, DELETE ON dead_letters TO tenant_app;
+GRANT INSERT, UPDATE, DELETE ON encryption_keys TO tenant_app;`)
+    // one connection each, as the session context outlives a request; every batch sets its tenant anyway
+    const ownerPool = await new sql.ConnectionPool({ ...config, pool: { max: 1, min: 0 } }).connect()
+    const appPool = await new sql.ConnectionPool({ ...config, user: 'tenant_app', password, pool: { max: 1, min: 0 } }).connect()
+    const inTenant = async (client, tenant, query, inputs = {}) => {
+      const request = client.request().input('tenant', sql.NVarChar, tenant)
+      for (const [name, [type, value]] of Object.entries(inputs)) {
+        request.input(name, type, value)
+      }
+      return (await request.query(`EXEC sp_set_session_context N'tenant', @tenant;\n${query}`)).recordset
+    }
+    const entityKey = nanoid()
+    const append = async (client, tenant, appendKey, previousId = null) => {
+      const [{ event_id }] = await inTenant(client, tenant, `
+DECLARE @event_id UNIQUEIDENTIFIER;
+EXEC append_event @entity, @entity_key, @event, N'{}', @append_key, @previous_id, @event_id = @event_id OUTPUT;
+SELECT CAST(@event_id AS NVARCHAR(36)) AS event_id;`, {
+        entity: [sql.NVarChar, thingEntity],
+        entity_key: [sql.NVarChar, entityKey],
+        event: [sql.NVarChar, thingCreatedEvent],
+        append_key: [sql.NVarChar, appendKey],
+        previous_id: [sql.UniqueIdentifier, previousId]
+      })
+      return event_id.toLowerCase()
+    }
+
+    const appendKey = nanoid()
+    const acmeId = await append(ownerPool, 'acme', appendKey)
+    const globexId = await append(ownerPool, 'globex', appendKey)
+
+    try {
+      await t.test('tenants can use the same entity keys and append keys', async () => {
+        strictEqual(acmeId === globexId, false)
+        strictEqual(await append(ownerPool, 'acme', appendKey), acmeId, 'repeating the append returns the tenant\'s event')
+        const { recordset } = await pool.request()
+          .input('entity_key', sql.NVarChar, entityKey)
+          .query('SELECT tenant, event_count FROM streams WHERE entity_key = @entity_key ORDER BY tenant')
+        deepStrictEqual(recordset, [{ tenant: 'acme', event_count: 1 }, { tenant: 'globex', event_count: 1 }])
+      })
+
+      await t.test('sessions only see and append to their tenant', async () => {
+        deepStrictEqual(await inTenant(appPool, 'acme', 'SELECT DISTINCT tenant FROM replay_events'), [{ tenant: 'acme' }])
+        deepStrictEqual(await inTenant(appPool, 'acme', 'SELECT DISTINCT tenant FROM streams'), [{ tenant: 'acme' }])
+        await rejects(() => append(appPool, 'acme', nanoid(), globexId), { number: 50006 }, 'previous_id of another tenant')
+        await doesNotReject(() => append(appPool, 'acme', nanoid(), acmeId))
+      })
+
+      await t.test('tenant replays are scoped for db_owner too', async () => {
+        const tenants = await inTenant(ownerPool, 'globex', 'SELECT DISTINCT tenant FROM replay_events ORDER BY tenant')
+        deepStrictEqual(tenants, [{ tenant: '' }, { tenant: 'acme' }, { tenant: 'globex' }], 'db_owner sees every tenant')
+        const eventIds = (rows) => rows.map(({ event_id }) => event_id.toLowerCase())
+        deepStrictEqual(eventIds(await inTenant(ownerPool, 'globex',
+          'SELECT CAST(event_id AS NVARCHAR(36)) AS event_id FROM tenant_replay_events')), [globexId])
+        deepStrictEqual(await inTenant(ownerPool, 'globex', 'SELECT * FROM tenant_replay_events_after(@after_event_id)',
+          { after_event_id: [sql.UniqueIdentifier, acmeId] }), [])
+      })
+
+      await t.test('the hash chain runs through every tenant', async () => {
+        await append(appPool, 'globex', nanoid(), globexId)
+        const [{ sealed }] = await inTenant(appPool, 'acme', `
+DECLARE @sealed BIGINT;
+EXEC seal_ledger @sealed OUTPUT;
+SELECT @sealed AS sealed;`)
+        ok(Number(sealed) > 0, 'a tenant\'s session seals the other tenants\' events too')
+        deepStrictEqual((await pool.request().query('SELECT * FROM verify_ledger()')).recordset, [])
+        await rejects(() => inTenant(appPool, 'acme', 'SELECT * FROM verify_ledger()'), /must run as a member of db_owner/,
+          'tenant_isolation would hide the other tenants\' events from it')
+      })
+
+      await t.test('snapshots, checkpoints, relays and keys belong to the tenant', async () => {
+        for (const [tenant, eventId] of [['acme', acmeId], ['globex', globexId]]) {
+          await inTenant(appPool, tenant, `
+INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data) VALUES (@entity, @entity_key, @event_id, 1, '{}');
+INSERT INTO encryption_keys (entity, entity_key, [key]) VALUES (@entity, @entity_key, CRYPT_GEN_RANDOM(32));
+INSERT INTO subscriptions (name, last_event_id) VALUES (N'projector', @event_id);
+INSERT INTO relays (name, last_sequence) VALUES (N'outbox', 1);
+INSERT INTO dead_letters (relay, event_id, error) VALUES (N'outbox', @event_id, N'rejected');`, {
+            entity: [sql.NVarChar, thingEntity],
+            entity_key: [sql.NVarChar, entityKey],
+            event_id: [sql.UniqueIdentifier, eventId]
+          })
+        }
+        for (const table of ['snapshots', 'encryption_keys', 'subscriptions', 'relays', 'dead_letters']) {
+          deepStrictEqual(await inTenant(appPool, 'acme', `SELECT DISTINCT tenant FROM ${table}`), [{ tenant: 'acme' }], table)
+        }
+        await inTenant(appPool, 'acme', 'DELETE FROM encryption_keys WHERE entity_key = @entity_key',
+          { entity_key: [sql.NVarChar, entityKey] })
+        deepStrictEqual(await inTenant(appPool, 'globex', 'SELECT tenant FROM encryption_keys WHERE entity_key = @entity_key',
+          { entity_key: [sql.NVarChar, entityKey] }), [{ tenant: 'globex' }], 'another tenant\'s key is kept')
+      })
+    } finally {
+      await appPool.close()
+      await ownerPool.close()
+      await pool.request().query('DROP USER tenant_app; DROP LOGIN tenant_app')
+    }
+  })
+
+  await ctx.test('ledger integrity', async () => {
+    const result = await pool.request().query('SELECT * FROM check_ledger_integrity()')
+    deepStrictEqual(result.recordset, [], 'every stream is an unbroken chain')
+  })
+})
@@ -1,8 +1,16 @@
-import { throws, doesNotThrow, strictEqual } from 'node:assert/strict'
+import { throws, doesNotThrow, strictEqual, deepStrictEqual } from 'node:assert/strict'
 import { before, after, test } from 'node:test'
 import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync, execFile } from 'child_process'
+import { promisify } from 'util'
 import initSqlJs from 'sql.js'
 import { nanoid } from 'nanoid'
+import { registerSqliteFunctions, sqliteAdapter, verifySqliteLedger } from './client/index.js'
+
+// node:sqlite, for a ledger file shared by processes, is built into Node 22.13 and later
+const nodeSqlite = await import('node:sqlite').catch(() => null)
 
 
 /**
@@ -17,6 +25,12 @@ const tableTennisEntity = 'table-tennis'
 const pingEvent = 'ball-pinged'
 const pongEvent = 'ball-ponged'
 
+const orderEntity = 'order'
+const orderPlacedEvent = 'order-placed'
+const itemAddedEvent = 'item-added'
+const orderArchivedEvent = 'order-archived'
+const orderCancelledEvent = 'order-cancelled'
+
 const thingKey = '1'
 const homeTableKey = 'home'
 const workTableKey = 'work'
@@ -25,6 +39,7 @@ const workTableKey = 'work'
 async function initDb() {
   const SQL = await initSqlJs()
   const db = new SQL.Database()
+  registerSqliteFunctions(db)
   loadDdl(db)
   return db
 }
@@ -103,22 +118,22 @@ INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_
     await t.test('previous_id rules', () => {
       throws(
         () => stmt.run([tableTennisEntity, homeTableKey, pingEvent, data, nanoid(), null]),
-        /previous_id can only be null for first entity event/,
+        /ES005: previous_id can only be null for first entity event/,
         'cannot insert multiple null previous ID for an entity')
       throws(
         () => stmt.run([tableTennisEntity, workTableKey, pongEvent, data, nanoid(), pingEventHomeId]),
-        /previous_id must be in same entity/,
+        /ES006: previous_id must be in the same entity/,
         'previous ID must be in same entity')
       throws(
         () => stmt.run([thingEntity, thingKey, thingCreatedEvent, data, nanoid(), thingEventId1]),
-        /previous_id must reference the newest event in entity/,
+        /ES007: previous_id must reference the newest event in entity/,
         'previous ID must be newest event in entity')
     })
 
     await t.test('Cannot insert duplicates', () => {
       throws(
         () => stmt.run([thingEntity, thingKey, thingDeletedEvent, data, appendKey1, thingEventId2]),
-        /UNIQUE constraint failed: ledger\.append_key/,
+        /ES004: append key reused with different content/,
         'cannot insert different event for same append key')
       throws(
         () => stmt.run([thingEntity, thingKey, thingDeletedEvent, data, nanoid(), thingEventId1]),
@@ -131,12 +146,12 @@ INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_
     await t.test('cannot delete or update events', () => {
       throws(
         () => db.exec(`DELETE FROM ledger WHERE entity = '${thingEntity}'`),
-        /Cannot delete events from the ledger/,
+        /ES001: Cannot delete events from the ledger/,
         'cannot delete events'
       )
       throws(
         () => db.exec(`UPDATE ledger SET entity_key = 'fail' WHERE entity = '${thingEntity}'`),
-        /Cannot update events in the ledger/,
+        /ES002: Cannot update events in the ledger/,
         'cannot update events'
       )
     })
@@ -153,5 +168,783 @@ INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_
       const [{values}] = await db.exec(`SELECT * FROM replay_events WHERE entity = '${tableTennisEntity}' AND entity_key = '${homeTableKey}'`)
       strictEqual(values.length, 1, 'should have one event')
     })
+
+    await t.test('page through events by sequence', async () => {
+      const page = (cursor) => db.exec(`SELECT event_id, sequence FROM replay_events WHERE sequence > ${cursor} ORDER BY sequence LIMIT 2`)[0]?.values ?? []
+      const paged = []
+      for (let rows = page(0); rows.length; rows = page(rows.at(-1)[1])) {
+        paged.push(...rows)
+      }
+      deepStrictEqual(paged, db.exec('SELECT event_id, sequence FROM replay_events ORDER BY sequence')[0].values)
+    })
+
+    const [{values: thingEvents}] = db.exec(`SELECT event_id, sequence FROM ledger WHERE entity = '${thingEntity}' ORDER BY sequence`)
+
+    await t.test('replay events until a sequence', async () => {
+      const [[thingEventId1, sequence]] = thingEvents
+      const [{values}] = db.exec(`SELECT event_id FROM replay_events WHERE sequence <= ${sequence} AND entity = '${thingEntity}' ORDER BY sequence`)
+      deepStrictEqual(values, [[thingEventId1]])
+    })
+
+    await t.test('replay events as of a time', async () => {
+      const [[thingEventId1], [thingEventId2]] = thingEvents
+      const asOf = (timestamp) => db.exec(`SELECT event_id FROM replay_events WHERE timestamp <= '${timestamp}' AND entity = '${thingEntity}' ORDER BY sequence`)[0]?.values ?? []
+      deepStrictEqual(asOf(new Date().toISOString()), [[thingEventId1], [thingEventId2]])
+      deepStrictEqual(asOf('2000-01-01T00:00:00.000Z'), [])
+      const headAsOf = (epochMs) => db.exec(`
+SELECT event_id FROM ledger WHERE entity = '${thingEntity}' AND entity_key = '${thingKey}' AND timestamp <= ${epochMs}
+ORDER BY sequence DESC LIMIT 1`)[0]?.values ?? []
+      deepStrictEqual(headAsOf(Date.now()), [[thingEventId2]])
+      deepStrictEqual(headAsOf(0), [])
+    })
+  })
+
+
+  await ctx.test('append event batches', async (t) => {
+    const orderKey = nanoid()
+    const appendBatchStmt = db.prepare(`
+INSERT INTO append_events (entity, entity_key, previous_id, events)
+    VALUES ($1, $2, $3, $4)
+    RETURNING (SELECT json_group_array(event_id)
+               FROM (SELECT event_id
+                     FROM ledger
+                     WHERE append_key IN (SELECT value ->> 'append_key' FROM json_each($4))
+                     ORDER BY sequence)) AS event_ids`)
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+
+    let orderEventIds
+
+    await t.test('insert a batch of events for an entity', () => {
+      doesNotThrow(() => {
+        const [eventIds] = appendBatchStmt.get([orderEntity, orderKey, null, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent)])
+        orderEventIds = JSON.parse(eventIds)
+      })
+      strictEqual(orderEventIds.length, 3, 'should return three event ids')
+
+      const [{values}] = db.exec(`SELECT previous_id, event_id FROM ledger WHERE entity_key = '${orderKey}' ORDER BY sequence`)
+      deepStrictEqual(values, [
+        [null, orderEventIds[0]],
+        [orderEventIds[0], orderEventIds[1]],
+        [orderEventIds[1], orderEventIds[2]]
+      ], 'each event should follow the one before it')
+    })
+
+    await t.test('batches follow previous_id rules', () => {
+      throws(
+        () => appendBatchStmt.get([orderEntity, orderKey, null, batch(orderPlacedEvent)]),
+        /previous_id can only be null for first entity event/,
+        'cannot insert a first-event batch into an existing entity')
+      throws(
+        () => appendBatchStmt.get([orderEntity, orderKey, orderEventIds[1], batch(itemAddedEvent)]),
+        /previous_id must reference the newest event in entity/,
+        'batch previous ID must be newest event in entity')
+      throws(
+        () => appendBatchStmt.get([orderEntity, orderKey, null, '[]']),
+        /events must contain at least one event/,
+        'cannot insert an empty batch')
+    })
+
+    await t.test('batches are atomic', () => {
+      const events = JSON.parse(batch(itemAddedEvent, itemAddedEvent))
+      events[1].append_key = events[0].append_key
+      throws(
+        () => appendBatchStmt.get([orderEntity, orderKey, orderEventIds[2], JSON.stringify(events)]),
+        /UNIQUE constraint failed: ledger\.append_key/,
+        'cannot insert duplicate append keys in a batch')
+
+      const [{values: [[count]]}] = db.exec(`SELECT COUNT(*) FROM ledger WHERE entity_key = '${orderKey}'`)
+      strictEqual(count, 3, 'failed batch should not append any events')
+    })
+
+    await t.test('batches rejected by a trigger are atomic', () => {
+      const receiptKey = nanoid()
+      db.run(`INSERT INTO event_types (entity, event, schema_version, schema) VALUES ('receipt', 'receipt-issued', 1, '{}')`)
+      throws(
+        () => appendBatchStmt.get(['receipt', receiptKey, null, batch('receipt-issued', 'receipt-voided')]),
+        /ES010: event is not registered for the entity/,
+        'cannot insert an unregistered event in a batch')
+
+      const [{values: [[count]]}] = db.exec(`SELECT COUNT(*) FROM ledger WHERE entity_key = '${receiptKey}'`)
+      strictEqual(count, 0, 'failed batch should not append any events')
+    })
+
+    await t.test('batches with an unknown causation_id are atomic', () => {
+      const batchKey = nanoid()
+      const events = JSON.parse(batch(orderPlacedEvent, itemAddedEvent))
+      events[1].causation_id = nanoid()
+      throws(
+        () => appendBatchStmt.get([orderEntity, batchKey, null, JSON.stringify(events)]),
+        /ES014: causation_id must reference an existing event/,
+        'cannot insert an event caused by an unknown event in a batch')
+
+      const [{values: [[count]]}] = db.exec(`SELECT COUNT(*) FROM ledger WHERE entity_key = '${batchKey}'`)
+      strictEqual(count, 0, 'failed batch should not append any events')
+    })
+  })
+
+
+  await ctx.test('idempotent appends', async (t) => {
+    const appendStmt = db.prepare(`
+INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING (SELECT event_id FROM ledger WHERE append_key = $5) as event_id`)
+    const appendBatchStmt = db.prepare(`
+INSERT INTO append_events (entity, entity_key, previous_id, events)
+    VALUES ($1, $2, $3, $4)
+    RETURNING (SELECT json_group_array(event_id)
+               FROM (SELECT event_id
+                     FROM ledger
+                     WHERE append_key IN (SELECT value ->> 'append_key' FROM json_each($4))
+                     ORDER BY sequence)) AS event_ids`)
+    const ledgerSize = () => db.exec('SELECT COUNT(*) FROM ledger')[0].values[0][0]
+    const entityKey = nanoid()
+    const appendKey = nanoid()
+
+    let eventId
+
+    await t.test('repeating an append returns the original event_id', () => {
+      [eventId] = appendStmt.get([thingEntity, entityKey, thingCreatedEvent, '{"value": 1}', appendKey, null])
+      const size = ledgerSize()
+      const [retriedId] = appendStmt.get([thingEntity, entityKey, thingCreatedEvent, '{"value":1}', appendKey, null])
+      strictEqual(retriedId, eventId, 'retry should return the original event_id')
+      strictEqual(ledgerSize(), size, 'retry should not append another event')
+    })
+
+    await t.test('reusing an append_key with different content is rejected', () => {
+      throws(
+        () => appendStmt.get([thingEntity, entityKey, thingCreatedEvent, '{"value": 2}', appendKey, null]),
+        /ES004: append key reused with different content/,
+        'different data')
+      throws(
+        () => appendStmt.get([thingEntity, homeTableKey, thingCreatedEvent, '{"value": 1}', appendKey, null]),
+        /ES004: append key reused with different content/,
+        'different entity key')
+    })
+
+    await t.test('repeating a batch returns the original event_ids', () => {
+      const events = JSON.stringify([
+        { event: thingDeletedEvent, data: {}, append_key: nanoid() },
+        { event: thingDeletedEvent, data: {}, append_key: nanoid() }
+      ])
+      const [eventIds] = appendBatchStmt.get([thingEntity, entityKey, eventId, events])
+      const size = ledgerSize()
+      const [retriedIds] = appendBatchStmt.get([thingEntity, entityKey, eventId, events])
+      deepStrictEqual(JSON.parse(retriedIds), JSON.parse(eventIds), 'retry should return the original event_ids')
+      strictEqual(ledgerSize(), size, 'retry should not append more events')
+
+      const changed = JSON.parse(events)
+      changed[1].data = { changed: true }
+      throws(
+        () => appendBatchStmt.get([thingEntity, entityKey, eventId, JSON.stringify(changed)]),
+        /ES004: append key reused with different content/,
+        'batch with different content')
+      throws(
+        () => appendBatchStmt.get([thingEntity, entityKey, eventId, JSON.stringify(JSON.parse(events).reverse())]),
+        /ES004: append key reused with different content/,
+        'batch with events in a different order')
+
+      const extended = [...JSON.parse(events), { event: thingDeletedEvent, data: {}, append_key: nanoid() }]
+      const [extendedIds] = appendBatchStmt.get([thingEntity, entityKey, eventId, JSON.stringify(extended)])
+      deepStrictEqual(JSON.parse(extendedIds).slice(0, 2), JSON.parse(eventIds), 'repeated events keep their event_ids')
+      strictEqual(ledgerSize(), size + 1, 'only the new event should be appended')
+    })
+  })
+
+  await ctx.test('schema versions', async (t) => {
+    const appendStmt = db.prepare(`
+INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id, schema_version)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)`)
+    const versionOf = (appendKey) => db.exec('SELECT schema_version FROM ledger WHERE append_key = ?', [appendKey])[0].values[0][0]
+
+    await t.test('events are version 1 unless given', () => {
+      const appendKey = nanoid()
+      appendStmt.run([thingEntity, nanoid(), thingCreatedEvent, '{}', appendKey, null, null])
+      strictEqual(versionOf(appendKey), 1)
+    })
+
+    await t.test('appends and batches record the version', () => {
+      const appendKey = nanoid()
+      appendStmt.run([thingEntity, nanoid(), thingCreatedEvent, '{}', appendKey, null, 3])
+      strictEqual(versionOf(appendKey), 3)
+
+      const batchKey = nanoid()
+      db.run('INSERT INTO append_events (entity, entity_key, previous_id, events) VALUES (?, ?, ?, ?)',
+        [thingEntity, nanoid(), null, JSON.stringify([{ event: thingCreatedEvent, data: {}, schema_version: 2, append_key: batchKey }])])
+      strictEqual(versionOf(batchKey), 2)
+    })
+
+    await t.test('reusing an append_key with a different version is rejected', () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      appendStmt.run([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, null, 1])
+      throws(
+        () => appendStmt.run([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, null, 2]),
+        /ES004: append key reused with different content/)
+    })
+  })
+
+  await ctx.test('causation', async (t) => {
+    const appendStmt = db.prepare(`
+INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id, metadata, correlation_id, causation_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING (SELECT event_id FROM ledger WHERE append_key = $5)`)
+    const append = (params) => appendStmt.get(params)[0]
+    const correlationId = nanoid()
+    let causeId
+    let effectId
+
+    await t.test('appends record metadata, correlation and causation', () => {
+      causeId = append([thingEntity, nanoid(), thingCreatedEvent, '{}', nanoid(), null, '{"user":"ada"}', correlationId, null])
+      effectId = append([orderEntity, nanoid(), orderPlacedEvent, '{}', nanoid(), null, null, correlationId, causeId])
+      const [[metadata, causationId]] = db.exec(`SELECT metadata, causation_id FROM replay_events WHERE event_id = '${effectId}'`)[0].values
+      strictEqual(metadata, null)
+      strictEqual(causationId, causeId)
+      const [[count]] = db.exec(`SELECT COUNT(*) FROM ledger WHERE correlation_id = '${correlationId}'`)[0].values
+      strictEqual(count, 2)
+    })
+
+    await t.test('causation_id must reference an existing event', () => {
+      throws(
+        () => append([thingEntity, nanoid(), thingCreatedEvent, '{}', nanoid(), null, null, null, crypto.randomUUID()]),
+        /ES014: causation_id must reference an existing event/)
+    })
+
+    await t.test('causal_chain walks causes and effects', () => {
+      const chain = db.exec(`SELECT event_id, depth, metadata FROM causal_chain WHERE origin_id = '${effectId}'`)[0].values
+      deepStrictEqual(chain, [[causeId, -1, '{"user":"ada"}'], [effectId, 0, null]])
+    })
+
+    await t.test('reusing an append_key with different metadata is rejected', () => {
+      const entityKey = nanoid()
+      const appendKey = nanoid()
+      const eventId = append([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, null, '{"a":1}', null, null])
+      strictEqual(append([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, null, '{"a": 1}', null, null]), eventId)
+      throws(
+        () => append([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, null, '{"a":2}', null, null]),
+        /ES004: append key reused with different content/)
+    })
+  })
+
+  await ctx.test('expected versions', async (t) => {
+    const entityKey = nanoid()
+    const appendStmt = db.prepare(`
+INSERT INTO append_event_at_version (entity, entity_key, event, data, append_key, expected_version)
+    VALUES ($1, $2, $3, $4, $5, $6)`)
+    const append = (expectedVersion, appendKey = nanoid()) =>
+      appendStmt.run([thingEntity, entityKey, thingCreatedEvent, '{}', appendKey, expectedVersion])
+    const positions = () => db.exec(`SELECT stream_position FROM replay_events WHERE entity_key = '${entityKey}'`)[0].values.flat()
+
+    await t.test('appends follow the expected version', () => {
+      const appendKey = nanoid()
+      append(0, appendKey)
+      append(1)
+      append(-1)
+      append(null)
+      deepStrictEqual(positions(), [1, 2, 3, 4])
+      doesNotThrow(() => append(0, appendKey), 'repeated appends keep their original event')
+    })
+
+    await t.test('batches are numbered in order', () => {
+      const [[previousId]] = db.exec(`SELECT event_id FROM ledger WHERE entity_key = '${entityKey}' AND stream_position = 4`)[0].values
+      db.run('INSERT INTO append_events (entity, entity_key, previous_id, events) VALUES (?, ?, ?, ?)', [thingEntity, entityKey, previousId,
+        JSON.stringify([{ event: thingCreatedEvent, data: {}, append_key: nanoid() }, { event: thingCreatedEvent, data: {}, append_key: nanoid() }])])
+      deepStrictEqual(positions(), [1, 2, 3, 4, 5, 6])
+    })
+
+    await t.test('other versions are rejected', () => {
+      throws(() => append(5), /ES015: entity is not at expected_version/)
+      throws(() => append(0), /ES015: entity is not at expected_version/)
+      throws(() => appendStmt.run([thingEntity, nanoid(), thingCreatedEvent, '{}', nanoid(), -1]), /ES015/)
+    })
+
+    await t.test('positions cannot be changed', () => {
+      throws(() => db.run(`UPDATE ledger SET stream_position = 7 WHERE entity_key = '${entityKey}'`), /ES002/)
+    })
+
+    await t.test('duplicate positions have the same error code as on Postgres', async () => {
+      const forked = await initDb()
+      forked.run('DROP TRIGGER first_event_for_entity; DROP TRIGGER move_stream_head_on_append;')
+      const insert = () => forked.run('INSERT INTO ledger (entity, entity_key, event, data, append_key, previous_id, event_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [thingEntity, entityKey, thingCreatedEvent, '{}', nanoid(), null, crypto.randomUUID(), Date.now()])
+      insert()
+      const err = (() => {
+        try {
+          insert()
+        } catch (err) {
+          return err
+        }
+      })()
+      forked.close()
+      strictEqual(err.message, 'UNIQUE constraint failed: ledger.entity, ledger.entity_key, ledger.stream_position')
+      strictEqual(sqliteAdapter(forked).errorCode(err), 'ES007')
+    })
+  })
+
+  await ctx.test('append conditions', async (t) => {
+    const usernameQuery = (username) => JSON.stringify([{ events: ['user-registered', 'username-changed'], tags: [`username:${username}`] }])
+    const appendStmt = db.prepare(`
+INSERT INTO append_event_with_condition (entity, entity_key, event, data, append_key, previous_id, tags,
+                                         fail_if_events_match, after_sequence)
+    VALUES ($1, $2, $3, '{}', $4, $5, $6, $7, $8)`)
+    const register = (entityKey, username, after, appendKey = nanoid(), event = 'user-registered') =>
+      appendStmt.run(['user', entityKey, event, appendKey, null, JSON.stringify([`username:${username}`, `user:${entityKey}`]),
+        usernameQuery(username), after])
+    const newest = () => db.exec('SELECT max(sequence) FROM ledger')[0].values[0][0]
+
+    await t.test('appends when no event matches the query', () => {
+      const appendKey = nanoid()
+      register('ann', 'ann', 0, appendKey)
+      const [[tags]] = db.exec('SELECT tags FROM ledger WHERE append_key = ?', [appendKey])[0].values
+      deepStrictEqual(JSON.parse(tags), ['username:ann', 'user:ann'])
+      doesNotThrow(() => register('ann', 'ann', 0, appendKey), 'repeated appends keep their original event')
+    })
+
+    await t.test('an event matching the query after the sequence rejects the append, in any entity', () => {
+      throws(() => register('ann-2', 'ann', 0), /ES017: events matching the append condition were appended after after_sequence/)
+      const after = newest()
+      doesNotThrow(() => register('bob', 'bob', after), 'other tags do not match')
+      throws(() => register('bob-2', 'bob', after), /ES017/)
+      doesNotThrow(() => register('ann-3', 'ann', newest()), 'events up to the sequence do not match')
+    })
+
+    await t.test('events must have every tag of the query and one of its events', () => {
+      const after = newest()
+      db.run(`INSERT INTO append_event (entity, entity_key, event, data, append_key, tags) VALUES ('user', 'cy', 'user-registered', '{}', ?, '["user:cy"]')`, [nanoid()])
+      db.run(`INSERT INTO append_event (entity, entity_key, event, data, append_key, tags) VALUES ('user', 'cy-2', 'user-renamed', '{}', ?, '["username:cy"]')`, [nanoid()])
+      doesNotThrow(() => register('cy-3', 'cy', after))
+      throws(() => register('cy-4', 'cy', after, nanoid(), 'username-changed'), /ES017/)
+    })
+
+    await t.test('batch events carry tags', () => {
+      const after = newest()
+      db.run('INSERT INTO append_events (entity, entity_key, previous_id, events) VALUES (?, ?, ?, ?)', ['user', 'dee', null,
+        JSON.stringify([{ event: 'user-registered', data: {}, append_key: nanoid(), tags: ['username:dee'] }])])
+      throws(() => register('dee-2', 'dee', after), /ES017/)
+    })
+
+    await t.test('tags cannot be changed', () => {
+      throws(() => db.run(`UPDATE ledger SET tags = '[]' WHERE entity_key = 'ann'`), /ES002/)
+    })
+  })
+
+  await ctx.test('snapshots', async (t) => {
+    const orderKey = nanoid()
+    const appendBatchStmt = db.prepare(`
+INSERT INTO append_events (entity, entity_key, previous_id, events)
+    VALUES ($1, $2, $3, $4)
+    RETURNING (SELECT json_group_array(event_id)
+               FROM (SELECT event_id
+                     FROM ledger
+                     WHERE append_key IN (SELECT value ->> 'append_key' FROM json_each($4))
+                     ORDER BY sequence)) AS event_ids`)
+    const snapshotStmt = db.prepare('INSERT INTO snapshots (entity, entity_key, event_id, schema_version, data) VALUES (?, ?, ?, ?, ?)')
+    const replay = () => db.exec(`
+SELECT event, data, event_id, snapshot_version
+FROM replay_events_from_snapshot
+WHERE entity = '${orderEntity}' AND entity_key = '${orderKey}'`)[0].values
+    const batch = (...events) => JSON.stringify(events.map(event => ({ event, data: {}, append_key: nanoid() })))
+
+    const [eventIds] = appendBatchStmt.get([orderEntity, orderKey, null, batch(orderPlacedEvent, itemAddedEvent, itemAddedEvent)])
+    const orderEventIds = JSON.parse(eventIds)
+
+    await t.test('replay without a snapshot returns every event', () => {
+      deepStrictEqual(replay().map(([, , eventId, version]) => [eventId, version]), orderEventIds.map(id => [id, null]))
+    })
+
+    await t.test('replay starts from the latest snapshot', () => {
+      snapshotStmt.run([orderEntity, orderKey, orderEventIds[0], 1, '{"items": 0}'])
+      snapshotStmt.run([orderEntity, orderKey, orderEventIds[1], 1, '{"items": 1}'])
+      deepStrictEqual(replay(), [
+        [null, '{"items": 1}', orderEventIds[1], 1],
+        [itemAddedEvent, '{}', orderEventIds[2], null]
+      ])
+    })
+
+    await t.test('snapshots can be replaced and deleted', () => {
+      doesNotThrow(() => db.run(`UPDATE snapshots SET schema_version = 2, data = '{"items": [1]}' WHERE event_id = '${orderEventIds[1]}'`))
+      deepStrictEqual(replay()[0], [null, '{"items": [1]}', orderEventIds[1], 2])
+
+      doesNotThrow(() => db.run(`DELETE FROM snapshots WHERE entity_key = '${orderKey}'`))
+      strictEqual(replay().length, 3, 'replay should start from the first event again')
+    })
+
+    await t.test('snapshots must cover an event of their entity', () => {
+      throws(
+        () => snapshotStmt.run([orderEntity, 'other', orderEventIds[0], 1, '{}']),
+        /ES009: snapshot event_id must be in the same entity/,
+        'event of another entity')
+      throws(
+        () => snapshotStmt.run([orderEntity, orderKey, nanoid(), 1, '{}']),
+        /ES009: snapshot event_id must be in the same entity/,
+        'unknown event')
+    })
+  })
+
+  await ctx.test('event type registry', async (t) => {
+    const invoiceEntity = 'invoice'
+    const invoiceIssuedEvent = 'invoice-issued'
+    const registerStmt = db.prepare('INSERT INTO event_types (entity, event, schema_version, schema) VALUES (?, ?, ?, ?)')
+    const appendStmt = db.prepare('INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id) VALUES (?, ?, ?, ?, ?, ?)')
+
+    await t.test('entities without registrations accept any event', () => {
+      doesNotThrow(() => appendStmt.run([invoiceEntity, nanoid(), 'invoice-craeted', '{}', nanoid(), null]))
+    })
+
+    await t.test('registered entities only accept registered events', () => {
+      registerStmt.run([invoiceEntity, invoiceIssuedEvent, 1, '{"type": "object"}'])
+      doesNotThrow(() => appendStmt.run([invoiceEntity, nanoid(), invoiceIssuedEvent, '{}', nanoid(), null]))
+      throws(
+        () => appendStmt.run([invoiceEntity, nanoid(), 'invoice-craeted', '{}', nanoid(), null]),
+        /ES010: event is not registered for the entity/,
+        'unregistered event')
+    })
+
+    await t.test('batches only accept registered events', () => {
+      const events = JSON.stringify([
+        { event: invoiceIssuedEvent, data: {}, append_key: nanoid() },
+        { event: 'invoice-craeted', data: {}, append_key: nanoid() }
+      ])
+      throws(
+        () => db.run('INSERT INTO append_events (entity, entity_key, previous_id, events) VALUES (?, ?, ?, ?)', [invoiceEntity, nanoid(), null, events]),
+        /ES010: event is not registered for the entity/)
+    })
+
+    await t.test('registrations are append-only', () => {
+      doesNotThrow(() => registerStmt.run([invoiceEntity, invoiceIssuedEvent, 2, '{"type": "object", "required": ["total"]}']))
+      throws(
+        () => registerStmt.run([invoiceEntity, invoiceIssuedEvent, 2, '{}']),
+        /UNIQUE constraint failed/,
+        'cannot register the same version twice')
+      throws(() => db.run('DELETE FROM event_types'), /ES011: Cannot delete registered event types/)
+      throws(() => db.run(`UPDATE event_types SET schema = '{}'`), /ES012: Cannot update registered event types/)
+    })
+  })
+
+  await ctx.test('encryption keys', async (t) => {
+    const insertKey = (entityKey) => db.run('INSERT INTO encryption_keys (entity, entity_key, key) VALUES (?, ?, randomblob(32))', [thingEntity, entityKey])
+
+    await t.test('keys can be deleted', () => {
+      insertKey('shredded')
+      doesNotThrow(() => db.run(`DELETE FROM encryption_keys WHERE entity_key = 'shredded'`))
+      strictEqual(db.exec(`SELECT COUNT(*) FROM encryption_keys WHERE entity_key = 'shredded'`)[0].values[0][0], 0)
+    })
+
+    await t.test('keys cannot be replaced', () => {
+      insertKey('kept')
+      throws(() => db.run(`UPDATE encryption_keys SET key = randomblob(32) WHERE entity_key = 'kept'`), /ES013: Cannot update encryption keys/)
+      throws(() => insertKey('kept'), /UNIQUE constraint failed/, 'one key per entity instance')
+    })
+  })
+
+  await ctx.test('hash chain', async (t) => {
+    await t.test('every event is hashed', () => {
+      strictEqual(db.exec('SELECT COUNT(*) FROM ledger WHERE hash IS NULL')[0].values[0][0], 0)
+      strictEqual(verifySqliteLedger(db), null)
+    })
+
+    await t.test('cannot rehash events', () => {
+      throws(() => db.run(`UPDATE ledger SET hash = 'forged'`), /ES002: Cannot update events in the ledger/)
+    })
+
+    const tamperedDb = async (tamper) => {
+      const tampered = await initDb()
+      const stmt = tampered.prepare('INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id) VALUES (?, ?, ?, ?, ?, ?)')
+      stmt.run([thingEntity, thingKey, thingCreatedEvent, '{}', nanoid(), null])
+      const [[firstId]] = tampered.exec('SELECT event_id FROM ledger')[0].values
+      stmt.run([thingEntity, thingKey, thingDeletedEvent, '{}', nanoid(), firstId])
+      stmt.run([tableTennisEntity, homeTableKey, pingEvent, '{}', nanoid(), null])
+      stmt.free()
+      strictEqual(verifySqliteLedger(tampered), null)
+      tamper(tampered)
+      return tampered
+    }
+
+    await t.test('detects changed events', async () => {
+      const tampered = await tamperedDb((tampered) => {
+        tampered.run('DROP TRIGGER no_update_ledger')
+        tampered.run(`UPDATE ledger SET data = '{"forged": true}' WHERE sequence = 2`)
+      })
+      const broken = verifySqliteLedger(tampered)
+      strictEqual(broken.sequence, 2)
+      strictEqual(broken.hash === broken.expectedHash, false)
+      tampered.close()
+    })
+
+    await t.test('detects removed events', async () => {
+      const tampered = await tamperedDb((tampered) => {
+        tampered.run('DROP TRIGGER no_delete_ledger')
+        tampered.run('DELETE FROM ledger WHERE sequence = 2')
+      })
+      strictEqual(verifySqliteLedger(tampered).sequence, 3)
+      tampered.close()
+    })
+
+    await t.test('detects changed tags', async () => {
+      const tampered = await tamperedDb((tampered) => {
+        tampered.run('DROP TRIGGER no_update_ledger')
+        tampered.run(`UPDATE ledger SET tags = '["forged"]' WHERE sequence = 2`)
+      })
+      strictEqual(verifySqliteLedger(tampered).sequence, 2)
+      tampered.close()
+    })
+
+    await t.test('detects reopened streams', async () => {
+      const tampered = await tamperedDb((tampered) => {
+        tampered.run('INSERT INTO terminal_events (entity, event) VALUES (?, ?)', [orderEntity, orderCancelledEvent])
+        tampered.run('INSERT INTO append_event (entity, entity_key, event, data, append_key) VALUES (?, ?, ?, ?, ?)',
+          [orderEntity, nanoid(), orderCancelledEvent, '{}', nanoid()])
+        strictEqual(verifySqliteLedger(tampered), null, 'registered terminal events are hashed as terminal')
+        tampered.run('DROP TRIGGER no_unterminate_ledger')
+        tampered.run('UPDATE ledger SET terminal = 0 WHERE sequence = 4')
+      })
+      strictEqual(verifySqliteLedger(tampered).sequence, 4)
+      tampered.close()
+    })
+  })
+
+  await ctx.test('stream heads', async (t) => {
+    const heads = () => db.exec('SELECT entity, entity_key, head_event_id, event_count, last_sequence FROM streams ORDER BY entity, entity_key')[0].values
+
+    await t.test('streams hold the newest event of every entity instance', () => {
+      deepStrictEqual(heads(), db.exec(`
+SELECT entity, entity_key, event_id, stream_position, sequence
+FROM ledger l
+WHERE sequence = (SELECT MAX(sequence) FROM ledger WHERE entity = l.entity AND entity_key = l.entity_key)
+ORDER BY entity, entity_key`)[0].values)
+    })
+
+    await t.test('rejected appends leave the heads where they were', () => {
+      const original = heads()
+      const [entity, entityKey, headEventId] = original.find(([entity, entityKey]) => entity === thingEntity && entityKey === thingKey)
+      const [[previousId]] = db.exec(`SELECT previous_id FROM ledger WHERE event_id = '${headEventId}'`)[0].values
+      const append = (previousId) => db.run('INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [entity, entityKey, thingCreatedEvent, '{}', nanoid(), previousId])
+      throws(() => append(null), /ES005/)
+      throws(() => append(previousId), /ES007/)
+      deepStrictEqual(heads(), original)
+    })
+  })
+
+  await ctx.test('terminal events', async (t) => {
+    const append = (entityKey, event, previousId, terminal = null) => db.run(
+      'INSERT INTO append_event (entity, entity_key, event, data, append_key, previous_id, terminal) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [orderEntity, entityKey, event, '{}', nanoid(), previousId, terminal])
+    const head = (entityKey) => db.exec(`SELECT head_event_id FROM streams WHERE entity = '${orderEntity}' AND entity_key = '${entityKey}'`)[0].values[0][0]
+    const closedKeys = () => (db.exec(`SELECT entity_key FROM closed_streams WHERE entity = '${orderEntity}'`)[0]?.values ?? []).flat()
+    const archivedKey = nanoid()
+    const cancelledKey = nanoid()
+    const batchKey = nanoid()
+
+    await t.test('a terminal append closes the entity', () => {
+      append(archivedKey, orderPlacedEvent, null)
+      append(archivedKey, orderArchivedEvent, head(archivedKey), 1)
+      throws(() => append(archivedKey, itemAddedEvent, head(archivedKey)), /ES016: entity is closed by a terminal event/)
+      throws(() => append(archivedKey, itemAddedEvent, null), /ES016/, 'whatever the previous_id')
+      throws(() => db.run('INSERT INTO append_event_at_version (entity, entity_key, event, data, append_key, expected_version) VALUES (?, ?, ?, ?, ?, ?)',
+        [orderEntity, archivedKey, itemAddedEvent, '{}', nanoid(), 2]), /ES016/)
+      deepStrictEqual(closedKeys(), [archivedKey])
+      strictEqual(db.exec(`SELECT closed FROM streams WHERE entity_key = '${archivedKey}'`)[0].values[0][0], 1)
+    })
+
+    await t.test('registered terminal events close the entity', () => {
+      db.run('INSERT INTO terminal_events (entity, event) VALUES (?, ?)', [orderEntity, orderCancelledEvent])
+      append(cancelledKey, orderPlacedEvent, null)
+      append(cancelledKey, orderCancelledEvent, head(cancelledKey))
+      throws(() => append(cancelledKey, itemAddedEvent, head(cancelledKey)), /ES016/)
+      deepStrictEqual(db.exec(`SELECT event, terminal FROM ledger WHERE entity_key = '${cancelledKey}' ORDER BY sequence`)[0].values,
+        [[orderPlacedEvent, 0], [orderCancelledEvent, 1]])
+      deepStrictEqual(closedKeys(), [archivedKey, cancelledKey])
+    })
+
+    await t.test('batches cannot continue after a terminal event', () => {
+      const batch = (...events) => db.run('INSERT INTO append_events (entity, entity_key, previous_id, events) VALUES (?, ?, ?, ?)',
+        [orderEntity, batchKey, null, JSON.stringify(events.map((event) => ({ data: {}, append_key: nanoid(), ...event })))])
+      throws(() => batch({ event: orderPlacedEvent, terminal: true }, { event: itemAddedEvent }), /ES016/)
+      strictEqual(db.exec(`SELECT count(*) FROM ledger WHERE entity_key = '${batchKey}'`)[0].values[0][0], 0, 'the batch is rolled back')
+      batch({ event: orderPlacedEvent }, { event: orderArchivedEvent, terminal: true })
+      deepStrictEqual(closedKeys(), [archivedKey, cancelledKey, batchKey])
+    })
+
+    await t.test('terminal events stay terminal', () => {
+      throws(() => db.run(`UPDATE ledger SET terminal = 0 WHERE entity_key = '${archivedKey}'`), /ES002/)
+    })
+  })
+
+  await ctx.test('ledger integrity', async (t) => {
+    const checkLedger = (db) => {
+      const file = path.join(os.tmpdir(), `check-ledger-${nanoid()}.db`)
+      fs.writeFileSync(file, db.export())
+      try {
+        const { status, stdout } = spawnSync(process.execPath, ['check-ledger.js', 'sqlite', file], { encoding: 'utf8' })
+        return { status, report: JSON.parse(stdout) }
+      } finally {
+        fs.rmSync(file)
+      }
+    }
+
+    await t.test('every stream is an unbroken chain', () => {
+      deepStrictEqual(db.exec('SELECT * FROM check_ledger_integrity'), [])
+      const { status, report } = checkLedger(db)
+      strictEqual(status, 0)
+      strictEqual(report.ok, true)
+      deepStrictEqual(report.violations, [])
+      strictEqual(report.brokenLink, null)
+    })
+
+    await t.test('reports broken chains', async () => {
+      const broken = await initDb()
+      broken.run(`
+DROP TRIGGER first_event_for_entity;
+DROP TRIGGER previous_id_is_latest_in_entity;
+DROP TRIGGER previous_id_in_same_entity;
+DROP INDEX stream_position_index;`)
+      const insert = (entityKey, previousId) => {
+        const eventId = crypto.randomUUID()
+        broken.run('INSERT INTO ledger (entity, entity_key, event, data, append_key, previous_id, event_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [thingEntity, entityKey, thingCreatedEvent, '{}', nanoid(), previousId, eventId, Date.now()])
+        return eventId
+      }
+      const a1 = insert('a', null)
+      const a2 = insert('a', a1)
+      const a3 = insert('a', null)
+      const missingId = crypto.randomUUID()
+      const b1 = insert('b', missingId)
+      insert('c', null)
+      const c2 = insert('c', a2)
+      const d2 = crypto.randomUUID()
+      const d1 = insert('d', d2)
+      broken.run('INSERT INTO ledger (entity, entity_key, event, data, append_key, previous_id, event_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [thingEntity, 'd', thingCreatedEvent, '{}', nanoid(), null, d2, Date.now()])
+
+      const { status, report } = checkLedger(broken)
+      broken.close()
+      strictEqual(status, 1)
+      strictEqual(report.ok, false)
+      deepStrictEqual(report.violations, [
+        { violation: 'multiple_first_events', entity: thingEntity, entityKey: 'a', eventId: a3, previousId: null, sequence: 3 },
+        { violation: 'missing_first_event', entity: thingEntity, entityKey: 'b', eventId: null, previousId: null, sequence: 4 },
+        { violation: 'orphan', entity: thingEntity, entityKey: 'b', eventId: b1, previousId: missingId, sequence: 4 },
+        { violation: 'foreign_previous_id', entity: thingEntity, entityKey: 'c', eventId: c2, previousId: a2, sequence: 6 },
+        { violation: 'previous_id_not_earlier', entity: thingEntity, entityKey: 'd', eventId: d1, previousId: d2, sequence: 7 }
+      ])
+      strictEqual(report.brokenLink.sequence, 7, 'd1 was hashed before its previous_id event existed')
+    })
+  })
+
+  await ctx.test('NDJSON export and import', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-ndjson-'))
+    try {
+      const source = path.join(directory, 'source.db')
+      const target = path.join(directory, 'target.db')
+      fs.writeFileSync(source, db.export())
+      const ledgerNdjson = (args, input) => spawnSync(process.execPath, ['ledger-ndjson.js', ...args], { encoding: 'utf8', input })
+
+      const exported = ledgerNdjson(['export', 'sqlite', source])
+      strictEqual(exported.status, 0)
+      const imported = ledgerNdjson(['import', 'sqlite', target], exported.stdout)
+      strictEqual(imported.status, 0)
+      const lines = exported.stdout.split('\n').filter(Boolean)
+      strictEqual(imported.stderr, `imported ${lines.length} events\n`)
+
+      const columns = 'entity, entity_key, event, json(data), append_key, previous_id, event_id, timestamp, terminal'
+      const SQL = await initSqlJs()
+      const restored = new SQL.Database(fs.readFileSync(target))
+      deepStrictEqual(
+        restored.exec(`SELECT ${columns} FROM ledger ORDER BY sequence`),
+        db.exec(`SELECT ${columns} FROM ledger ORDER BY sequence`))
+      restored.close()
+    } finally {
+      fs.rmSync(directory, { recursive: true })
+    }
+  })
+})
+
+
+// Appends in a process of its own to the ledger file, racing the other processes from startAt, and prints the
+// outcome of each race as { eventId } or { code }
+const racingProcess = `
+import { DatabaseSync } from 'node:sqlite'
+import { setTimeout } from 'node:timers/promises'
+
+const [clientUrl, file, startAt, baseId, worker] = process.argv.slice(1)
+const { sqliteAdapter } = await import(clientUrl)
+const db = new DatabaseSync(file)
+const adapter = sqliteAdapter(db)
+const append = (entityKey, appendKey, previousId, data = '{}') =>
+  adapter.append({ entity: 'race', entityKey, event: 'raced', data, appendKey, previousId, terminal: false })
+const attempt = async (raced) => {
+  try {
+    return { eventId: await raced() }
+  } catch (err) {
+    return { code: adapter.errorCode(err) ?? err.message }
+  }
+}
+
+await setTimeout(Number(startAt) - Date.now())
+const results = {
+  first: await attempt(() => append('first', 'first-' + worker, null)),
+  next: await attempt(() => append('base', 'next-' + worker, baseId)),
+  appendKey: await attempt(() => append('key-' + worker, 'shared', null, JSON.stringify({ worker }))),
+  condition: await attempt(() => adapter.append({
+    entity: 'race', entityKey: 'claim-' + worker, event: 'raced', data: '{}', appendKey: 'claim-' + worker, previousId: null,
+    terminal: false, tags: '["claim"]', condition: { failIfEventsMatch: '[{"tags": ["claim"]}]', after: 0 }
+  }))
+}
+let previousId = null
+for (let i = 0; i < 25; i++) {
+  previousId = await append('chain-' + worker, 'chain-' + worker + '-' + i, previousId)
+}
+db.close()
+process.stdout.write(JSON.stringify(results))
+`
+
+test('SQLite file shared by processes', { skip: !nodeSqlite && 'node:sqlite needs Node 22.13 or later' }, async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-event-store-'))
+  const file = path.join(directory, 'ledger.db')
+  const db = new nodeSqlite.DatabaseSync(file)
+  const adapter = sqliteAdapter(db)
+  db.exec(fs.readFileSync('./sqlite-event-store.ddl', 'utf8'))
+  t.after(() => {
+    db.close()
+    fs.rmSync(directory, { recursive: true })
+  })
+
+  const baseId = await adapter.append({ entity: 'race', entityKey: 'base', event: 'raced', data: '{}', appendKey: nanoid(), previousId: null, terminal: false })
+  const clientUrl = new URL('./client/index.js', import.meta.url).href
+  const startAt = Date.now() + 1000
+  const workers = await Promise.all([0, 1, 2, 3].map(async (worker) => {
+    const { stdout } = await promisify(execFile)(process.execPath,
+      ['--input-type=module', '-e', racingProcess, clientUrl, file, String(startAt), baseId, String(worker)])
+    return JSON.parse(stdout)
+  }))
+  const outcomes = (race) => workers.map((results) => results[race])
+  const appended = (race) => outcomes(race).filter(({ eventId }) => eventId)
+  const codes = (race) => [...new Set(outcomes(race).map(({ code }) => code).filter(Boolean))]
+
+  await t.test('one process appends the first event of an entity', () => {
+    strictEqual(appended('first').length, 1)
+    deepStrictEqual(codes('first'), ['ES005'])
+  })
+
+  await t.test('one process appends after the same previous_id', () => {
+    strictEqual(appended('next').length, 1)
+    deepStrictEqual(codes('next'), ['ES007'])
+  })
+
+  await t.test('one process uses an append_key', () => {
+    strictEqual(appended('appendKey').length, 1)
+    deepStrictEqual(codes('appendKey'), ['ES004'])
+  })
+
+  await t.test('one process appends on the same condition', () => {
+    strictEqual(appended('condition').length, 1)
+    deepStrictEqual(codes('condition'), ['ES017'])
+  })
+
+  await t.test('appends wait for each other rather than fail', async () => {
+    const [{ count }] = db.prepare(`SELECT count(*) AS count FROM ledger WHERE entity_key LIKE 'chain-%'`).all()
+    strictEqual(count, 4 * 25)
+    deepStrictEqual(await adapter.checkIntegrity(), [])
+    strictEqual(verifySqliteLedger(db), null)
   })
 })